@@ -1,42 +1,70 @@
 import { addonBuilder } from 'stremio-addon-sdk';
 import { Type } from './lib/types.js';
 import { dummyManifest } from './lib/manifest.js';
-import { cacheWrapStream } from './lib/cache.js';
-import { toStreamInfo, applyStaticInfo } from './lib/streamInfo.js';
+import { cacheWrapStream, getCachedStreams } from './lib/cache.js';
+import { toStreamInfo, applyStaticInfo, applyDisplayInfo, stripInternalInfo } from './lib/streamInfo.js';
 import * as repository from './lib/repository.js';
-import applySorting from './lib/sort.js';
+import applySorting, { applyCachedSorting } from './lib/sort.js';
 import applyFilters from './lib/filter.js';
-import { applyMochs, getMochCatalog, getMochItemMeta } from './moch/moch.js';
+import { applyMochs, getMochCatalog, getMochItemMeta, getSubtitleUrl } from './moch/moch.js';
+import { findVideoSubtitles, toSubtitleResponse } from './lib/subtitles.js';
 import StaticLinks from './moch/static.js';
 import { createNamedQueue } from "./lib/namedQueue.js";
 import pLimit from "p-limit";
+import titleParser from 'parse-torrent-title';
+import { isVideo } from './lib/extension.js';
+import { registerQueueMetrics, resolveStreamsDuration } from './lib/metrics.js';
 
 const CACHE_MAX_AGE = parseInt(process.env.CACHE_MAX_AGE) || 60 * 60; // 1 hour in seconds
 const CACHE_MAX_AGE_EMPTY = 60; // 60 seconds
 const CATALOG_CACHE_MAX_AGE = 0; // 0 minutes
 const STALE_REVALIDATE_AGE = 4 * 60 * 60; // 4 hours
 const STALE_ERROR_AGE = 7 * 24 * 60 * 60; // 7 days
+const MIN_EPISODE_RECORDS = parseInt(process.env.MIN_EPISODE_RECORDS) || 10; // fewer records fall back to season packs
 
 const builder = new addonBuilder(dummyManifest());
-const requestQueue = createNamedQueue(Infinity);
+const requestQueue = createNamedQueue(Infinity, 'request');
 const newLimiter = pLimit(30)
+registerQueueMetrics('request', requestQueue);
+registerQueueMetrics('limiter', newLimiter);
 
 builder.defineStreamHandler((args) => {
   if (!args.id.match(/tt\d+/i) && !args.id.match(/kitsu:\d+/i)) {
     return Promise.resolve({ streams: [] });
   }
 
-  return requestQueue.wrap(args.id, () => resolveStreams(args))
+  return requestQueue.wrap(args.id, () => resolveStreams(args), () => getCachedStreams(args.id))
       .then(streams => applyFilters(streams, args.extra))
       .then(streams => applySorting(streams, args.extra, args.type))
-      .then(streams => applyStaticInfo(streams))
+      .then(streams => applyStaticInfo(streams, args.extra))
       .then(streams => applyMochs(streams, args.extra))
+      .then(streams => applyCachedSorting(streams, args.extra))
+      .then(streams => applyDisplayInfo(streams, args.extra))
+      .then(streams => stripInternalInfo(streams))
       .then(streams => enrichCacheParams(streams))
       .catch(error => {
         return Promise.reject(`Failed request ${args.id}: ${error}`);
       });
 });
 
+builder.defineSubtitlesHandler((args) => {
+  if (!args.id.match(/tt\d+/i) && !args.id.match(/kitsu:\d+/i)) {
+    return Promise.resolve({ subtitles: [] });
+  }
+
+  return requestQueue.wrap(args.id, () => resolveStreams(args), () => getCachedStreams(args.id))
+      .then(streams => findVideoSubtitles(streams, args.extra))
+      .then(subtitles => Promise.all(subtitles.map(subtitle => getSubtitleUrl(subtitle, args.extra)
+          .then(url => toSubtitleResponse(subtitle, url)))))
+      .then(subtitles => ({
+        subtitles: subtitles,
+        cacheMaxAge: subtitles.length ? CACHE_MAX_AGE : CACHE_MAX_AGE_EMPTY
+      }))
+      .catch(error => {
+        return Promise.reject(`Failed subtitles request ${args.id}: ${error}`);
+      });
+});
+
 builder.defineCatalogHandler((args) => {
   const mochKey = args.id.replace("torrentio-", '');
   console.log(`Incoming catalog ${args.id} request with skip=${args.extra.skip || 0}`)
@@ -64,10 +92,12 @@ builder.defineMetaHandler((args) => {
 })
 
 async function resolveStreams(args) {
+  const endTimer = resolveStreamsDuration.startTimer({ type: args.type });
   return cacheWrapStream(args.id, () => newLimiter(() => streamHandler(args)
       .then(records => records
           .sort((a, b) => b.torrent.seeders - a.torrent.seeders || b.torrent.uploadDate - a.torrent.uploadDate)
-          .map(record => toStreamInfo(record)))));
+          .map(record => toStreamInfo(record, isSeasonPackRecord(record, args))))))
+      .finally(() => endTimer());
 }
 
 async function streamHandler(args) {
@@ -86,7 +116,16 @@ async function seriesRecordsHandler(args) {
     const imdbId = parts[0];
     const season = parts[1] !== undefined ? parseInt(parts[1], 10) : 1;
     const episode = parts[2] !== undefined ? parseInt(parts[2], 10) : 1;
-    return repository.getImdbIdSeriesEntries(imdbId, season, episode);
+    const records = await repository.getImdbIdSeriesEntries(imdbId, season, episode);
+    if (records.length >= MIN_EPISODE_RECORDS) {
+      return records;
+    }
+    return repository.getImdbIdSeasonEntries(imdbId, season, true)
+        .catch(error => {
+          console.log(`Failed retrieving season packs for ${imdbId}:${season}`, error);
+          return [];
+        })
+        .then(packRecords => records.concat(seasonPackRecords(records, packRecords, season, episode)));
   } else if (args.id.match(/^kitsu:\d+(?::\d+)?$/i)) {
     const parts = args.id.split(':');
     const kitsuId = parts[1];
@@ -98,6 +137,30 @@ async function seriesRecordsHandler(args) {
   return Promise.resolve([]);
 }
 
+function seasonPackRecords(records, packRecords, season, episode) {
+  // season packs which files were not mapped to episodes, so we need to find the episode file by its title
+  const mappedInfoHashes = new Set(records.map(record => record.infoHash));
+  return packRecords
+      .filter(record => !mappedInfoHashes.has(record.infoHash))
+      .filter(record => Number.isInteger(record.fileIndex) && isVideo(record.title))
+      .filter(record => isPackEpisodeFile(record, season, episode))
+      .filter((record, index, array) => array.findIndex(other => other.infoHash === record.infoHash) === index);
+}
+
+function isSeasonPackRecord(record, args) {
+  // episode entries are mapped to the requested episode, so only season pack fallbacks are missing it
+  return args.type === Type.SERIES && args.id.startsWith('tt') && !Number.isInteger(record.imdbEpisode);
+}
+
+function isPackEpisodeFile(record, season, episode) {
+  const fileInfo = titleParser.parse(record.title.split('/').pop());
+  const pathInfo = titleParser.parse(record.title);
+  const parsedSeasons = [].concat(fileInfo.seasons || fileInfo.season || pathInfo.seasons || pathInfo.season || []);
+  const seasons = parsedSeasons.length ? parsedSeasons : [].concat(record.imdbSeason || []);
+  const episodes = [].concat(fileInfo.episodes || fileInfo.episode || []);
+  return seasons.includes(season) && episodes.includes(episode);
+}
+
 async function movieRecordsHandler(args) {
   if (args.id.match(/^tt\d+$/)) {
     const parts = args.id.split(':');
@@ -2,7 +2,10 @@ import express from 'express';
 import swStats from 'swagger-stats';
 import serverless from './serverless.js';
 import { manifest } from './lib/manifest.js';
-import { initBestTrackers } from './lib/magnetHelper.js';
+import { initBestTrackers, getTrackersInfo } from './lib/magnetHelper.js';
+import { getMetrics, isMetricsUser, metricsContentType } from './lib/metrics.js';
+import { isAdminUser } from './lib/admin.js';
+import { clearBlacklist, getBlacklistEntries, getBlacklistEntry, removeBlacklistEntry } from './lib/cache.js';
 
 const app = express();
 app.enable('trust proxy');
@@ -12,13 +15,53 @@ app.use(swStats.getMiddleware({
   timelineBucketDuration: 60 * 60 * 1000,
   apdexThreshold: 100,
   authentication: true,
-  onAuthenticate: (req, username, password) => {
-    return username === process.env.METRICS_USER
-        && password === process.env.METRICS_PASSWORD
-  },
+  onAuthenticate: (req, username, password) => isMetricsUser(username, password),
 }))
+app.get('/metrics', basicAuth('metrics', isMetricsUser), (req, res) => {
+  res.setHeader('Content-Type', metricsContentType());
+  res.end(getMetrics());
+});
+app.get('/admin/trackers', basicAuth('admin', isAdminUser), (req, res) => {
+  res.json(getTrackersInfo());
+});
+app.get('/admin/blacklist', basicAuth('admin', isAdminUser), (req, res) => {
+  getBlacklistEntries()
+      .then(entries => res.json(entries))
+      .catch(() => res.status(500).end());
+});
+app.delete('/admin/blacklist', basicAuth('admin', isAdminUser), (req, res) => {
+  clearBlacklist()
+      .then(() => res.status(204).end())
+      .catch(() => res.status(500).end());
+});
+app.get('/admin/blacklist/:hash', basicAuth('admin', isAdminUser), (req, res) => {
+  getBlacklistEntry(req.params.hash)
+      .then(entry => entry ? res.json(entry) : res.status(404).end())
+      .catch(() => res.status(500).end());
+});
+app.delete('/admin/blacklist/:hash', basicAuth('admin', isAdminUser), (req, res) => {
+  removeBlacklistEntry(req.params.hash)
+      .then(() => res.status(204).end())
+      .catch(() => res.status(500).end());
+});
 app.use(express.static('static', { maxAge: '1y' }));
 app.use((req, res, next) => serverless(req, res, next));
+
+function basicAuth(realm, isAuthorized) {
+  return (req, res, next) => {
+    const credentials = Buffer.from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64').toString();
+    const separatorIndex = credentials.indexOf(':');
+    const username = separatorIndex >= 0 ? credentials.slice(0, separatorIndex) : credentials;
+    const password = separatorIndex >= 0 ? credentials.slice(separatorIndex + 1) : undefined;
+    if (!isAuthorized(username, password)) {
+      res.setHeader('WWW-Authenticate', `Basic realm="${realm}"`);
+      res.status(401).end();
+      return;
+    }
+    next();
+  };
+}
+
 app.listen(process.env.PORT || 7000, () => {
   initBestTrackers()
       .then(() => console.log(`Started addon at: http://localhost:${process.env.PORT || 7000}`));
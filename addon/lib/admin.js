@@ -0,0 +1,7 @@
+import { isEqualSecret } from './metrics.js';
+
+export function isAdminUser(username, password) {
+  return !!process.env.ADMIN_USER
+      && isEqualSecret(username, process.env.ADMIN_USER)
+      && isEqualSecret(password, process.env.ADMIN_PASSWORD);
+}
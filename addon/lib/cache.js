@@ -1,11 +1,19 @@
+import crypto from 'crypto';
 import cacheManager from 'cache-manager';
 import mangodbStore from 'cache-manager-mongodb';
+import redisStore from 'cache-manager-redis-store';
 import { isStaticUrl }  from '../moch/static.js';
+import { cacheRequests } from './metrics.js';
 
 const GLOBAL_KEY_PREFIX = 'torrentio-addon';
-const STREAM_KEY_PREFIX = `${GLOBAL_KEY_PREFIX}|stream`;
+// versioned, since cached streams without metadata can't be filtered or sorted
+const STREAM_KEY_PREFIX = `${GLOBAL_KEY_PREFIX}|stream-v2`;
 const AVAILABILITY_KEY_PREFIX = `${GLOBAL_KEY_PREFIX}|availability`;
 const RESOLVED_URL_KEY_PREFIX = `${GLOBAL_KEY_PREFIX}|resolved`;
+const LOCK_KEY_PREFIX = `${GLOBAL_KEY_PREFIX}|lock`;
+const TOKEN_BLACKLIST_KEY_PREFIX = `${GLOBAL_KEY_PREFIX}|blacklist`;
+const TOKEN_BLACKLIST_LOCAL_KEY_PREFIX = `${GLOBAL_KEY_PREFIX}|blacklist-local`;
+const TOKEN_BLACKLIST_INDEX_KEY = `${GLOBAL_KEY_PREFIX}|blacklist-index`;
 
 const STREAM_TTL = process.env.STREAM_TTL || 24 * 60 * 60; // 24 hours
 const STREAM_EMPTY_TTL = process.env.STREAM_EMPTY_TTL || 60; // 1 minute
@@ -13,17 +21,30 @@ const RESOLVED_URL_TTL = 3 * 60 * 60; // 3 hours
 const AVAILABILITY_TTL = 8 * 60 * 60; // 8 hours
 const AVAILABILITY_EMPTY_TTL = 30 * 60; // 30 minutes
 const MESSAGE_VIDEO_URL_TTL = 60; // 1 minutes
+const TOKEN_BLACKLIST_TTL = process.env.TOKEN_BLACKLIST_TTL || 6 * 60 * 60; // 6 hours
+const TOKEN_BLACKLIST_LOCAL_TTL = 60; // 1 minute
 // When the streams are empty we want to cache it for less time in case of timeouts or failures
 
+const REDIS_URI = process.env.REDIS_URI;
 const MONGO_URI = process.env.MONGODB_URI;
 const NO_CACHE = process.env.NO_CACHE || false;
 
 const memoryCache = initiateMemoryCache();
 const remoteCache = initiateRemoteCache();
+// availability is shared across instances only with redis, otherwise each instance keeps its own
+const availabilityCache = REDIS_URI && remoteCache || memoryCache;
+// blacklist survives restarts only with a remote store
+const blacklistCache = remoteCache || memoryCache;
+let blacklistIndexUpdate = Promise.resolve();
+// locks are only needed across instances, so they are available only with the shared redis store
+const lockClient = REDIS_URI && remoteCache?.store.getClient();
+const RELEASE_LOCK_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end`;
 
 function initiateRemoteCache() {
   if (NO_CACHE) {
     return null;
+  } else if (REDIS_URI) {
+    return initiateRedisCache(REDIS_URI, STREAM_EMPTY_TTL);
   } else if (MONGO_URI) {
     return cacheManager.caching({
       store: mangodbStore,
@@ -47,6 +68,18 @@ function initiateRemoteCache() {
   }
 }
 
+function initiateRedisCache(uri, ttl) {
+  const cache = cacheManager.caching({
+    store: redisStore,
+    url: uri,
+    ttl: ttl,
+    ignoreCacheErrors: true
+  });
+  // redis client reconnects by itself, so errors are only logged instead of crashing the process
+  cache.store.getClient().on('error', error => console.log('Redis cache error', error.message));
+  return cache;
+}
+
 function initiateMemoryCache() {
   return cacheManager.caching({
     store: 'memory',
@@ -62,33 +95,76 @@ function cacheWrap(cache, key, method, options) {
   return cache.wrap(key, method, options);
 }
 
+function cacheWrapMeasured(cacheName, cache, key, method, options) {
+  let missed = false;
+  const measuredMethod = () => {
+    missed = true;
+    return method();
+  };
+  return cacheWrap(cache, key, measuredMethod, options)
+      .then(result => {
+        cacheRequests.inc({ cache: cacheName, result: missed ? 'miss' : 'hit' });
+        return result;
+      });
+}
+
+// Only hits are measured, since misses are measured by the following cache wrap
+function getCachedMeasured(cacheName, cache, key) {
+  if (NO_CACHE || !cache) {
+    return Promise.resolve(undefined);
+  }
+  return cache.get(key)
+      .catch(error => {
+        console.log(`Failed retrieving ${cacheName} cache`, error);
+        return undefined;
+      })
+      .then(result => {
+        if (result !== undefined && result !== null) {
+          cacheRequests.inc({ cache: cacheName, result: 'hit' });
+        }
+        return result;
+      });
+}
+
 export function cacheWrapStream(id, method) {
-  return cacheWrap(remoteCache, `${STREAM_KEY_PREFIX}:${id}`, method, {
+  return cacheWrapMeasured('stream', remoteCache, `${STREAM_KEY_PREFIX}:${id}`, method, {
     ttl: (streams) => streams.length ? STREAM_TTL : STREAM_EMPTY_TTL
   });
 }
 
 export function cacheWrapResolvedUrl(id, method) {
-  return cacheWrap(remoteCache, `${RESOLVED_URL_KEY_PREFIX}:${id}`, method, {
+  return cacheWrapMeasured('resolved', remoteCache, `${RESOLVED_URL_KEY_PREFIX}:${id}`, method, {
     ttl: (url) => isStaticUrl(url) ? MESSAGE_VIDEO_URL_TTL : RESOLVED_URL_TTL
   });
 }
 
+export function getCachedStreams(id) {
+  return getCachedMeasured('stream', remoteCache, `${STREAM_KEY_PREFIX}:${id}`);
+}
+
+export function getCachedResolvedUrl(id) {
+  return getCachedMeasured('resolved', remoteCache, `${RESOLVED_URL_KEY_PREFIX}:${id}`);
+}
+
 export function cacheAvailabilityResults(results) {
   Object.keys(results)
       .forEach(infoHash => {
         const key = `${AVAILABILITY_KEY_PREFIX}:${infoHash}`;
         const value = results[infoHash];
         const ttl = value?.length ? AVAILABILITY_TTL : AVAILABILITY_EMPTY_TTL;
-        memoryCache.set(key, value, { ttl })
+        availabilityCache.set(key, value, { ttl })
+            .catch(error => console.warn(`Failed caching [${infoHash}] availability`, error));
       });
   return results;
 }
 
 export function getCachedAvailabilityResults(infoHashes) {
   const keys = infoHashes.map(infoHash => `${AVAILABILITY_KEY_PREFIX}:${infoHash}`)
+  if (!keys.length) {
+    return Promise.resolve({});
+  }
   return new Promise(resolve => {
-    memoryCache.mget(...keys, (error, result) => {
+    availabilityCache.mget(...keys, (error, result) => {
       if (error) {
         console.log('Failed retrieve availability cache', error)
         return resolve({});
@@ -103,3 +179,126 @@ export function getCachedAvailabilityResults(infoHashes) {
     })
   });
 }
+
+export function isTokenBlacklisted(mochKey, token) {
+  // checked on every stream request, so the remote result is kept locally for a short time
+  const hash = hashToken(mochKey, token);
+  return cacheWrap(memoryCache, `${TOKEN_BLACKLIST_LOCAL_KEY_PREFIX}:${hash}`,
+      () => getBlacklistEntry(hash).then(entry => !!entry), { ttl: TOKEN_BLACKLIST_LOCAL_TTL });
+}
+
+export function blacklistToken(mochKey, token) {
+  const entry = {
+    hash: hashToken(mochKey, token),
+    moch: mochKey,
+    token: redactToken(token),
+    blacklistedAt: new Date().toISOString()
+  };
+  return blacklistCache.set(`${TOKEN_BLACKLIST_KEY_PREFIX}:${entry.hash}`, entry, { ttl: TOKEN_BLACKLIST_TTL })
+      .then(() => memoryCache.set(`${TOKEN_BLACKLIST_LOCAL_KEY_PREFIX}:${entry.hash}`, true, { ttl: TOKEN_BLACKLIST_LOCAL_TTL }))
+      .then(() => addBlacklistIndexEntry(entry.hash))
+      .catch(error => console.log('Failed blacklisting token', error))
+      .then(() => entry);
+}
+
+export function getBlacklistEntry(hash) {
+  return blacklistCache.get(`${TOKEN_BLACKLIST_KEY_PREFIX}:${hash}`)
+      .catch(error => {
+        console.log('Failed retrieving token blacklist entry', error);
+        return undefined;
+      });
+}
+
+export function getBlacklistEntries() {
+  return getBlacklistIndex()
+      .then(index => Promise.all(Object.keys(index).map(hash => getBlacklistEntry(hash))))
+      .then(entries => entries.filter(entry => entry));
+}
+
+// Other instances keep their local blacklist results until they expire
+export function removeBlacklistEntry(hash) {
+  return Promise.all([
+    memoryCache.del(`${TOKEN_BLACKLIST_LOCAL_KEY_PREFIX}:${hash}`),
+    blacklistCache.del(`${TOKEN_BLACKLIST_KEY_PREFIX}:${hash}`)
+  ]);
+}
+
+export function clearBlacklist() {
+  return getBlacklistIndex()
+      .then(index => Promise.all(Object.keys(index).map(hash => removeBlacklistEntry(hash))))
+      .then(() => blacklistCache.del(TOKEN_BLACKLIST_INDEX_KEY));
+}
+
+// Stores hashes with their expiry, since cache stores can't be listed the same way.
+// Updates are chained, so concurrent blacklisting on the same instance doesn't overwrite the index,
+// while updates from other instances are rare, since tokens are only blacklisted once.
+function addBlacklistIndexEntry(hash) {
+  const update = () => {
+    const now = Date.now();
+    return getBlacklistIndex()
+        .then(index => Object.entries(index).filter(([, expiresAt]) => expiresAt > now))
+        .then(entries => Object.fromEntries(entries.concat([[hash, now + TOKEN_BLACKLIST_TTL * 1000]])))
+        .then(index => blacklistCache.set(TOKEN_BLACKLIST_INDEX_KEY, index, { ttl: TOKEN_BLACKLIST_TTL }));
+  };
+  blacklistIndexUpdate = blacklistIndexUpdate.catch(() => undefined).then(update);
+  return blacklistIndexUpdate;
+}
+
+function getBlacklistIndex() {
+  return blacklistCache.get(TOKEN_BLACKLIST_INDEX_KEY)
+      .then(index => index || {});
+}
+
+function redactToken(token) {
+  return `${token.slice(0, 4)}***`;
+}
+
+function hashToken(mochKey, token) {
+  return crypto.createHash('sha256').update(`${mochKey}|${token}`).digest('hex');
+}
+
+export function isDistributedLockEnabled() {
+  return !!lockClient;
+}
+
+// Resolves to the lock token if the lock was acquired, otherwise to undefined.
+// On store errors the lock is considered acquired, so the request is processed anyway.
+export function acquireLock(id, ttl) {
+  const token = crypto.randomUUID();
+  if (!lockClient) {
+    return Promise.resolve(token);
+  }
+  return new Promise(resolve => {
+    lockClient.set(`${LOCK_KEY_PREFIX}:${id}`, token, 'NX', 'EX', ttl, (error, result) => {
+      if (error) {
+        console.log('Failed acquiring lock', error.message);
+        return resolve(token);
+      }
+      resolve(result === 'OK' ? token : undefined);
+    });
+  });
+}
+
+export function releaseLock(id, token) {
+  if (!lockClient) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    // only the owner can release the lock, in case it already expired and was acquired by someone else
+    lockClient.eval(RELEASE_LOCK_SCRIPT, 1, `${LOCK_KEY_PREFIX}:${id}`, token, error => {
+      if (error) {
+        console.log('Failed releasing lock', error.message);
+      }
+      resolve();
+    });
+  });
+}
+
+export function isLocked(id) {
+  if (!lockClient) {
+    return Promise.resolve(false);
+  }
+  return new Promise(resolve => {
+    lockClient.exists(`${LOCK_KEY_PREFIX}:${id}`, (error, result) => resolve(!error && result > 0));
+  });
+}
@@ -1,6 +1,29 @@
 import { DebridOptions } from '../moch/options.js';
-import { QualityFilter, Providers, SizeFilter } from './filter.js';
-import { LanguageOptions } from './languages.js';
+import { MochOptions } from '../moch/mochOptions.js';
+import {
+  QualityFilter,
+  CodecFilter,
+  PreferredCodec,
+  AudioFilter,
+  PreferredAudio,
+  Providers,
+  SizeFilter,
+  SeedersFilter,
+  MaxAgeFilter,
+  MinAgeFilter,
+  BlockedGroupsFilter,
+  PreferredGroups,
+  ExcludeKeywordsFilter,
+  RequireKeywordsFilter,
+  WebReadyFilter,
+  splitKeywords,
+  isValidKeyword,
+  isValidSizeRange
+} from './filter.js';
+import { LanguageOptions, LanguageModeOptions, ExcludeLanguageOptions } from './languages.js';
+import { SortOptions, SortExpression, ScoreWeights, ScoreDebug, HealthOptions } from './sort.js';
+import { DisplayOptions, TemplateOptions, NameTemplate, TitleTemplate } from './displayOptions.js';
+import { decrypt, encrypt, isEncrypted } from './secrets.js';
 
 export const PreConfigurations = {
   lite: {
@@ -26,8 +49,99 @@ export const PreConfigurations = {
   }
 }
 
-const keysToSplit = [Providers.key, LanguageOptions.key, QualityFilter.key, SizeFilter.key, DebridOptions.key];
-const keysToUppercase = [SizeFilter.key];
+export const CONFIGURATION_VERSION = 2;
+export const ValueType = {
+  STRING: 'string',
+  LIST: 'list',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean'
+};
+const ValueCase = {
+  LOWER: 'lower',
+  UPPER: 'upper',
+  KEEP: 'keep'
+};
+
+// every supported option, parsed values keep the representation consumed by filters and sorting,
+// i.e. lists of strings, numbers as strings and enabled booleans as 'true'
+export const ConfigurationSchema = [
+  { key: Providers.key, type: ValueType.LIST, values: Providers.options.map(option => option.key) },
+  {
+    key: SortOptions.key,
+    type: ValueType.STRING,
+    values: optionKeys(SortOptions),
+    default: SortOptions.options.qualitySeeders.key
+  },
+  { key: SortExpression.key, type: ValueType.STRING },
+  { key: ScoreWeights.key, type: ValueType.LIST, pattern: /^[a-z]+:\d+(\.\d+)?$/ },
+  { key: ScoreDebug.key, type: ValueType.BOOLEAN },
+  { key: LanguageOptions.key, type: ValueType.LIST, values: LanguageOptions.options.map(option => option.key) },
+  {
+    key: LanguageModeOptions.key,
+    type: ValueType.STRING,
+    values: optionKeys(LanguageModeOptions),
+    default: LanguageModeOptions.options.priority.key
+  },
+  {
+    key: ExcludeLanguageOptions.key,
+    type: ValueType.LIST,
+    values: ExcludeLanguageOptions.options.map(option => option.key)
+  },
+  { key: QualityFilter.key, type: ValueType.LIST, values: QualityFilter.options.map(option => option.key) },
+  { key: CodecFilter.key, type: ValueType.LIST, values: CodecFilter.options.map(option => option.key) },
+  { key: PreferredCodec.key, type: ValueType.STRING, values: PreferredCodec.options.map(option => option.key) },
+  { key: AudioFilter.key, type: ValueType.LIST, values: AudioFilter.options.map(option => option.key) },
+  { key: PreferredAudio.key, type: ValueType.STRING, values: PreferredAudio.options.map(option => option.key) },
+  { key: 'limit', type: ValueType.NUMBER },
+  // invalid sizes are replaced with no limit, to keep the position of each content type
+  {
+    key: SizeFilter.key,
+    type: ValueType.LIST,
+    pattern: SizeFilter.pattern,
+    case: ValueCase.UPPER,
+    invalidValue: '',
+    validate: isValidSizeRange
+  },
+  { key: SeedersFilter.key, type: ValueType.NUMBER },
+  { key: MaxAgeFilter.key, type: ValueType.NUMBER },
+  { key: MinAgeFilter.key, type: ValueType.NUMBER },
+  {
+    key: HealthOptions.key,
+    type: ValueType.STRING,
+    values: optionKeys(HealthOptions),
+    default: HealthOptions.options.auto.key
+  },
+  { key: PreferredGroups.key, type: ValueType.LIST },
+  { key: BlockedGroupsFilter.key, type: ValueType.LIST },
+  {
+    key: ExcludeKeywordsFilter.key,
+    type: ValueType.LIST,
+    case: ValueCase.KEEP,
+    split: splitKeywords,
+    validate: isValidKeyword
+  },
+  {
+    key: RequireKeywordsFilter.key,
+    type: ValueType.LIST,
+    case: ValueCase.KEEP,
+    split: splitKeywords,
+    validate: isValidKeyword
+  },
+  { key: WebReadyFilter.key, type: ValueType.BOOLEAN },
+  {
+    key: TemplateOptions.key,
+    type: ValueType.STRING,
+    values: optionKeys(TemplateOptions),
+    default: TemplateOptions.options.default.key
+  },
+  { key: NameTemplate.key, type: ValueType.STRING, case: ValueCase.KEEP },
+  { key: TitleTemplate.key, type: ValueType.STRING, case: ValueCase.KEEP },
+  { key: DisplayOptions.key, type: ValueType.LIST, values: optionKeys(DisplayOptions) },
+  { key: DebridOptions.key, type: ValueType.LIST, values: optionKeys(DebridOptions) },
+  ...Object.values(MochOptions).map(moch => ({ key: moch.key, type: ValueType.STRING, case: ValueCase.KEEP }))
+];
+
+const configurationErrors = new WeakMap();
 
 export function parseConfiguration(configuration) {
   if (!configuration) {
@@ -36,19 +150,147 @@ export function parseConfiguration(configuration) {
   if (PreConfigurations[configuration]) {
     return PreConfigurations[configuration].config;
   }
-  const configValues = configuration.split('|')
-      .reduce((map, next) => {
+  if (isEncrypted(configuration)) {
+    const decrypted = decrypt(configuration);
+    if (!decrypted) {
+      console.log('Failed decrypting configuration');
+      return undefined;
+    }
+    return parseConfiguration(decrypted);
+  }
+  const { values, errors } = isJsonConfiguration(configuration)
+      ? parseJsonConfiguration(configuration)
+      : parseLegacyConfiguration(configuration);
+  const validated = validateConfiguration(values);
+  configurationErrors.set(validated.config, errors.concat(validated.errors));
+  return validated.config;
+}
+
+// Configure page is opened by url, so encrypted configurations are shown without the debrid api keys
+export function parsePublicConfiguration(configuration) {
+  const config = parseConfiguration(configuration);
+  if (!config || !isEncrypted(configuration)) {
+    return config;
+  }
+  const publicConfig = Object.fromEntries(Object.entries(config).filter(([key]) => !MochOptions[key]));
+  configurationErrors.set(publicConfig, getConfigurationErrors(config));
+  return publicConfig;
+}
+
+export function getConfigurationErrors(config) {
+  return config && configurationErrors.get(config) || [];
+}
+
+function isJsonConfiguration(configuration) {
+  // base64url encoded json object always starts with an encoded '{"'
+  return /^eyJ[A-Za-z0-9_-]*$/.test(configuration);
+}
+
+function parseJsonConfiguration(configuration) {
+  try {
+    const { version, ...values } = JSON.parse(Buffer.from(configuration, 'base64url').toString('utf8'));
+    if (version !== CONFIGURATION_VERSION) {
+      return { values: {}, errors: [`unsupported configuration version ${version}`] };
+    }
+    return { values, errors: [] };
+  } catch (error) {
+    return { values: {}, errors: ['malformed configuration'] };
+  }
+}
+
+function parseLegacyConfiguration(configuration) {
+  // legacy format is key=value|key=value with comma separated lists
+  return configuration.split('|')
+      .reduce(({ values, errors }, next, index) => {
         const parameterParts = next.split('=');
         if (parameterParts.length === 2) {
-          map[parameterParts[0].toLowerCase()] = parameterParts[1];
+          values[parameterParts[0].toLowerCase()] = parameterParts[1];
+        } else if (next.length) {
+          // errors are shown in the public manifest, so the option itself isn't, as it might be an api key
+          errors.push(`malformed option at position ${index + 1}`);
         }
-        return map;
-      }, {});
-  keysToSplit
-      .filter(key => configValues[key])
-      .forEach(key => configValues[key] = configValues[key].split(',')
-          .map(value => keysToUppercase.includes(key) ? value.toUpperCase() : value.toLowerCase()))
-  return configValues;
+        return { values, errors };
+      }, { values: {}, errors: [] });
+}
+
+function validateConfiguration(values) {
+  const config = {};
+  const errors = [];
+  Object.entries(values || {}).forEach(([key, value]) => {
+    const option = ConfigurationSchema.find(option => option.key === key.toLowerCase());
+    if (!option) {
+      errors.push(`unknown option ${key}`);
+      return;
+    }
+    const result = validateValue(option, value);
+    if (result.error) {
+      errors.push(`${option.key} ${result.error}`);
+    }
+    if (result.value !== undefined) {
+      config[option.key] = result.value;
+    }
+  });
+  ConfigurationSchema
+      .filter(option => option.default !== undefined && config[option.key] === undefined)
+      .forEach(option => config[option.key] = option.default);
+  return { config, errors };
+}
+
+function validateValue(option, value) {
+  if (value === undefined || value === null || value === '') {
+    return {};
+  }
+  switch (option.type) {
+    case ValueType.LIST:
+      return validateList(option, value);
+    case ValueType.NUMBER:
+      return /^\d+$/.test(`${value}`) ? { value: `${value}` } : { error: `is not a number: ${value}` };
+    case ValueType.BOOLEAN:
+      if (!['true', 'false'].includes(`${value}`)) {
+        return { error: `is not a boolean: ${value}` };
+      }
+      return { value: `${value}` === 'true' ? 'true' : undefined };
+    default: {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return { error: 'is not a string' };
+      }
+      const normalized = normalizeCase(option, `${value}`);
+      return isValidValue(option, normalized) ? { value: normalized } : { error: `has invalid value ${value}` };
+    }
+  }
+}
+
+function validateList(option, value) {
+  const items = Array.isArray(value) ? value : option.split?.(`${value}`) || `${value}`.split(',');
+  if (items.some(item => typeof item !== 'string')) {
+    return { error: 'is not a list of strings' };
+  }
+  const normalized = items.map(item => normalizeCase(option, item));
+  const invalid = normalized.filter(item => !isValidValue(option, item));
+  const valid = option.invalidValue !== undefined
+      ? normalized.map(item => isValidValue(option, item) ? item : option.invalidValue)
+      : normalized.filter(item => isValidValue(option, item));
+  return {
+    value: valid.length ? valid : undefined,
+    error: invalid.length ? `has invalid values ${invalid.join(',')}` : undefined
+  };
+}
+
+function isValidValue(option, value) {
+  return (!option.values || option.values.includes(value))
+      && (!option.pattern || option.pattern.test(value))
+      && (!option.validate || option.validate(value));
+}
+
+function normalizeCase(option, value) {
+  if (option.case === ValueCase.KEEP) {
+    return value;
+  }
+  return option.case === ValueCase.UPPER ? value.toUpperCase() : value.toLowerCase();
+}
+
+function optionKeys(options) {
+  return Object.values(options.options).map(option => option.key);
 }
 
 function liteConfig() {
@@ -76,6 +318,13 @@ function configValue(config) {
       .join('|');
 }
 
+export function encryptConfiguration(configuration) {
+  // only plain configurations are sealed, so the result can always be parsed back
+  return configuration && !isEncrypted(configuration) && !PreConfigurations[configuration]
+      ? encrypt(configuration)
+      : configuration;
+}
+
 export function getManifestOverride(config) {
   const preConfig = Object.values(PreConfigurations).find(pre => pre.config === config);
   return preConfig ? preConfig.manifest : {};
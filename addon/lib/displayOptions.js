@@ -0,0 +1,51 @@
+export const TemplateOptions = {
+  key: 'template',
+  options: {
+    default: {
+      key: 'default',
+      description: 'Default'
+    },
+    compact: {
+      key: 'compact',
+      description: 'Compact (TV)',
+      name: '[{cached}]\\n{resolution} {hdr}',
+      title: '{codec} {audio} {languages}\\n👤{seeders} 💾{size} ⚙️{provider}'
+    },
+    verbose: {
+      key: 'verbose',
+      description: 'Verbose (desktop)',
+      name: '[{cached}] {addon}\\n{resolution} {hdr}\\n{codec} {source}',
+      title: '{title}\\n{file}\\n👤{seeders} 💾{size} 🏷️{group} ⚙️{provider}\\n🔊{audio}\\n{languages}'
+    },
+    custom: {
+      key: 'custom',
+      description: 'Custom'
+    }
+  },
+  placeholders: [
+    'addon', 'title', 'file', 'resolution', 'hdr', 'source', 'codec', 'audio', 'seeders', 'size',
+    'provider', 'languages', 'group', 'cached', 'age'
+  ]
+}
+
+export const NameTemplate = {
+  key: 'nametemplate'
+}
+
+export const TitleTemplate = {
+  key: 'titletemplate'
+}
+
+export const DisplayOptions = {
+  key: 'displayoptions',
+  options: {
+    uploadAge: {
+      key: 'age',
+      description: 'Show upload age (e.g. 3d ago)'
+    },
+    magnetLinks: {
+      key: 'magnetlinks',
+      description: 'Show open in torrent client links'
+    }
+  }
+}
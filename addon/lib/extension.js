@@ -45,6 +45,12 @@ const DISK_EXTENSIONS = [
   "vob"
 ]
 
+const WEB_READY_EXTENSIONS = [
+  "mp4",
+  "m4v",
+  "webm"
+]
+
 const ARCHIVE_EXTENSIONS = [
   "rar",
   "zip"
@@ -62,6 +68,10 @@ export function isDisk(filename) {
   return isExtension(filename, DISK_EXTENSIONS);
 }
 
+export function isWebReadyVideo(filename) {
+  return isExtension(filename, WEB_READY_EXTENSIONS);
+}
+
 export function isArchive(filename) {
   return isExtension(filename, ARCHIVE_EXTENSIONS);
 }
@@ -1,5 +1,13 @@
-import { extractProvider, parseSize, extractSize } from './titleHelper.js';
+import { RE2JS } from 're2js';
+import { parseSize } from './titleHelper.js';
 import { Type } from './types.js';
+import {
+  LanguageOptions,
+  LanguageModeOptions,
+  ExcludeLanguageOptions,
+  containsLanguage,
+  containsMultiAudio
+} from './languages.js';
 export const Providers = {
   key: 'providers',
   options: [
@@ -103,81 +111,76 @@ export const QualityFilter = {
     {
       key: 'brremux',
       label: 'BluRay REMUX',
-      test(quality, bingeGroup) {
-        return bingeGroup?.includes(this.label);
+      test(metadata) {
+        return metadata.source?.includes(this.label);
       }
     },
     {
       key: 'hdrall',
       label: 'HDR/HDR10+/Dolby Vision',
       items: ['HDR', 'HDR10+', 'DV'],
-      test(quality) {
-        const hdrProfiles = quality?.split(' ')?.slice(1)?.join() || '';
-        return this.items.some(hdrType => hdrProfiles.includes(hdrType));
+      test(metadata) {
+        return this.items.some(hdrType => metadata.hdr.includes(hdrType));
       }
     },
     {
       key: 'dolbyvision',
       label: 'Dolby Vision',
-      test(quality) {
-        const hdrProfiles = quality?.split(' ')?.slice(1)?.join() || '';
-        return hdrProfiles === 'DV';
+      test(metadata) {
+        return metadata.hdr.join() === 'DV';
       }
     },
     {
       key: 'dolbyvisionwithhdr',
       label: 'Dolby Vision + HDR',
-      test(quality) {
-        const hdrProfiles = quality?.split(' ')?.slice(1)?.join() || '';
-        return hdrProfiles.includes('DV') && hdrProfiles.includes('HDR');
+      test(metadata) {
+        return metadata.hdr.includes('DV') && metadata.hdr.some(hdrType => hdrType.includes('HDR'));
       }
     },
     {
       key: 'threed',
       label: '3D',
-      test(quality) {
-        const hdrProfiles = quality?.split(' ')?.slice(1)?.join() || '';
-        return hdrProfiles.includes('3D');
+      test(metadata) {
+        return metadata.threeD;
       }
     },
     {
       key: 'nonthreed',
       label: 'Non 3D',
-      test(quality) {
-        const hdrProfiles = quality?.split(' ')?.slice(1)?.join() || '';
-        return !hdrProfiles.includes('3D');
+      test(metadata) {
+        return !metadata.threeD;
       }
     },
     {
       key: '4k',
       label: '4k',
       items: ['4k'],
-      test(quality) {
-        return quality && this.items.includes(quality.split(' ')[0]);
+      test(metadata) {
+        return this.items.includes(metadata.resolution);
       }
     },
     {
       key: '1080p',
       label: '1080p',
       items: ['1080p'],
-      test(quality) {
-        return this.items.includes(quality)
+      test(metadata) {
+        return this.items.includes(metadata.resolution);
       }
     },
     {
       key: '720p',
       label: '720p',
       items: ['720p'],
-      test(quality) {
-        return this.items.includes(quality)
+      test(metadata) {
+        return this.items.includes(metadata.resolution);
       }
     },
     {
       key: '480p',
       label: '480p',
       items: ['480p'],
-      test(quality) {
-        return this.items.includes(quality)
+      test(metadata) {
+        return this.items.includes(metadata.resolution);
       }
     },
     {
@@ -185,45 +188,189 @@ export const QualityFilter = {
       label: 'Other (DVDRip/HDRip/BDRip...)',
       // could be ['DVDRip', 'HDRip', 'BDRip', 'BRRip', 'BluRay', 'WEB-DL', 'WEBRip', 'HDTV', 'DivX', 'XviD']
       items: ['4k', '1080p', '720p', '480p', 'SCR', 'CAM', 'TeleSync', 'TeleCine'],
-      test(quality) {
-        return quality && !this.items.includes(quality.split(' ')[0]);
+      test(metadata) {
+        return metadata.resolution && !this.items.includes(metadata.resolution);
       }
     },
     {
       key: 'scr',
       label: 'Screener',
       items: ['SCR'],
-      test(quality) {
-        return this.items.includes(quality)
+      test(metadata) {
+        return this.items.includes(metadata.resolution);
       }
     },
     {
       key: 'cam',
       label: 'Cam',
       items: ['CAM', 'TeleSync', 'TeleCine'],
-      test(quality) {
-        return this.items.includes(quality)
+      test(metadata) {
+        return this.items.includes(metadata.resolution);
       }
     },
     {
       key: 'unknown',
       label: 'Unknown',
-      test(quality) {
-        return !quality
+      test(metadata) {
+        return !metadata.resolution;
       }
     }
   ]
 };
+export const CodecFilter = {
+  key: 'codecfilter',
+  options: [
+    {
+      key: 'h264',
+      label: 'x264/H.264/AVC',
+      name: 'x264',
+      pattern: /^[xh][-. ]?264$|^avc$/i,
+      test(codec) {
+        return codec === this.name;
+      }
+    },
+    {
+      key: 'hevc',
+      label: 'x265/H.265/HEVC',
+      name: 'HEVC',
+      pattern: /^[xh][-. ]?265$|^hevc$/i,
+      test(codec) {
+        return codec === this.name;
+      }
+    },
+    {
+      key: 'av1',
+      label: 'AV1',
+      name: 'AV1',
+      pattern: /^av1$/i,
+      test(codec) {
+        return codec === this.name;
+      }
+    },
+    {
+      key: 'other',
+      label: 'Other (XviD/DivX/MPEG2...)',
+      items: ['x264', 'HEVC', 'AV1'],
+      test(codec) {
+        return codec && !this.items.includes(codec);
+      }
+    },
+    {
+      key: 'unknown',
+      label: 'Unknown',
+      test(codec) {
+        return !codec;
+      }
+    }
+  ]
+};
+export const PreferredCodec = {
+  key: 'preferredcodec',
+  options: CodecFilter.options.filter(option => option.name)
+};
+export const AudioFilter = {
+  key: 'audiofilter',
+  options: [
+    {
+      key: 'atmos',
+      label: 'Dolby Atmos',
+      name: 'Atmos',
+      pattern: /\batmos\b/i
+    },
+    {
+      key: 'truehd',
+      label: 'Dolby TrueHD',
+      name: 'TrueHD',
+      pattern: /\btrue[-. ]?hd\b/i
+    },
+    {
+      key: 'dtshd',
+      label: 'DTS-HD/DTS:X',
+      name: 'DTS-HD',
+      pattern: /\bdts[-.: ]?(?:hd|x\b|ma\b)/i
+    },
+    {
+      key: 'dts',
+      label: 'DTS',
+      name: 'DTS',
+      pattern: /\bdts\b(?![-.: ]?(?:hd|x\b|ma\b))/i
+    },
+    {
+      key: 'ddp',
+      label: 'Dolby Digital Plus (E-AC3)',
+      name: 'DD+',
+      pattern: /\b(?:dd\+|ddp|e-?ac-?3)/i
+    },
+    {
+      key: 'dd',
+      label: 'Dolby Digital (AC3)',
+      name: 'DD',
+      pattern: /\b(?:dd(?![+p])|(?<!e-?)ac-?3)(?=\d|\b)/i
+    },
+    {
+      key: 'aac',
+      label: 'AAC',
+      name: 'AAC',
+      pattern: /\baac(?=\d|\b)/i
+    }
+  ].map(option => ({
+    ...option,
+    test(audio) {
+      return audio.includes(this.name);
+    }
+  }))
+};
+export const PreferredAudio = {
+  key: 'preferredaudio',
+  options: AudioFilter.options
+};
 export const SizeFilter = {
-  key: 'sizefilter'
+  key: 'sizefilter',
+  // either a max size or a min-max range, ex. 5GB, 500MB-5GB, 1GB-
+  pattern: /^(?:\d+(?:\.\d+)?(?:MB|GB|TB))?(?:-(?:\d+(?:\.\d+)?(?:MB|GB|TB))?)?$/
 }
+export const SeedersFilter = {
+  key: 'minseeders'
+}
+export const MaxAgeFilter = {
+  key: 'maxage'
+}
+export const MinAgeFilter = {
+  key: 'minage'
+}
+export const BlockedGroupsFilter = {
+  key: 'blockedgroups'
+}
+export const PreferredGroups = {
+  key: 'preferredgroups'
+}
+export const ExcludeKeywordsFilter = {
+  key: 'excludekeywords'
+}
+export const RequireKeywordsFilter = {
+  key: 'requirekeywords'
+}
+const MAX_KEYWORD_REGEX_LENGTH = 100;
+export const WebReadyFilter = {
+  key: 'webready',
+  description: 'Show only streams playable in the browser without transcoding'
+}
+const DAY_IN_MILLIS = 24 * 60 * 60 * 1000;
 const defaultProviderKeys = Providers.options.map(provider => provider.key);
 
 export default function applyFilters(streams, config) {
   return [
     filterByProvider,
     filterByQuality,
-    filterBySize
+    filterByCodec,
+    filterByAudio,
+    filterBySize,
+    filterBySeeders,
+    filterByAge,
+    filterByLanguage,
+    filterByGroup,
+    filterByKeywords,
+    filterByWebReady
   ].reduce((filteredStreams, filter) => filter(filteredStreams, config), streams);
 }
 
@@ -232,10 +379,7 @@ function filterByProvider(streams, config) {
   if (!providers?.length) {
     return streams;
   }
-  return streams.filter(stream => {
-    const provider = extractProvider(stream.title)
-    return providers.includes(provider);
-  })
+  return streams.filter(stream => providers.includes(stream.metadata.provider));
 }
 
 function filterByQuality(streams, config) {
@@ -244,11 +388,25 @@ function filterByQuality(streams, config) {
     return streams;
   }
   const filterOptions = QualityFilter.options.filter(option => filters.includes(option.key));
-  return streams.filter(stream => {
-    const streamQuality = stream.name.split('\n')[1];
-    const bingeGroup = stream.behaviorHints?.bingeGroup;
-    return !filterOptions.some(option => option.test(streamQuality, bingeGroup));
-  });
+  return streams.filter(stream => !filterOptions.some(option => option.test(stream.metadata)));
+}
+
+function filterByCodec(streams, config) {
+  const filters = config[CodecFilter.key];
+  if (!filters) {
+    return streams;
+  }
+  const filterOptions = CodecFilter.options.filter(option => filters.includes(option.key));
+  return streams.filter(stream => !filterOptions.some(option => option.test(stream.metadata.codec)));
+}
+
+function filterByAudio(streams, config) {
+  const filters = config[AudioFilter.key];
+  if (!filters) {
+    return streams;
+  }
+  const filterOptions = AudioFilter.options.filter(option => filters.includes(option.key));
+  return streams.filter(stream => !filterOptions.some(option => option.test(stream.metadata.audio)));
 }
 
 function filterBySize(streams, config) {
@@ -256,9 +414,136 @@ function filterBySize(streams, config) {
   if (!sizeFilters?.length) {
     return streams;
   }
-  const sizeLimit = parseSize(config.type === Type.MOVIE ? sizeFilters.shift() : sizeFilters.pop());
+  // size filters are defined in order of movie, episode and season pack episode size
+  const movieRange = parseSizeRange(sizeFilters[0]);
+  const episodeRange = sizeFilters[1] !== undefined ? parseSizeRange(sizeFilters[1]) : movieRange;
+  const packRange = sizeFilters[2] !== undefined ? parseSizeRange(sizeFilters[2]) : episodeRange;
   return streams.filter(stream => {
-    const size = extractSize(stream.title)
-    return size <= sizeLimit;
+    const size = stream.metadata.size;
+    const sizeRange = config.type === Type.MOVIE ? movieRange : stream.metadata.pack ? packRange : episodeRange;
+    // unknown size streams are kept, since there is no way to tell if they are in range
+    return !size || size >= sizeRange.min && size <= sizeRange.max;
   })
 }
+
+function filterBySeeders(streams, config) {
+  const minSeeders = parseInt(config[SeedersFilter.key], 10);
+  if (!minSeeders) {
+    return streams;
+  }
+  return streams.filter(stream => stream.metadata.seeders >= minSeeders);
+}
+
+function filterByAge(streams, config) {
+  const maxAge = parseInt(config[MaxAgeFilter.key], 10);
+  const minAge = parseInt(config[MinAgeFilter.key], 10);
+  if (!maxAge && !minAge) {
+    return streams;
+  }
+  const now = Date.now();
+  return streams.filter(stream => {
+    if (!stream.metadata.uploadDate) {
+      return true;
+    }
+    const ageDays = (now - stream.metadata.uploadDate) / DAY_IN_MILLIS;
+    return (!maxAge || ageDays <= maxAge) && (!minAge || ageDays >= minAge);
+  });
+}
+
+function filterByLanguage(streams, config) {
+  const languages = config[LanguageOptions.key];
+  const excludedLanguages = config[ExcludeLanguageOptions.key];
+  const languageMode = config[LanguageModeOptions.key];
+  const isStrict = [LanguageModeOptions.options.strict.key, LanguageModeOptions.options.strictMulti.key]
+      .includes(languageMode) && languages?.length;
+  const keepMultiAudio = languageMode === LanguageModeOptions.options.strictMulti.key;
+  if (!isStrict && !excludedLanguages?.length) {
+    return streams;
+  }
+  return streams
+      .filter(stream => !excludedLanguages?.length || !containsLanguage(stream, excludedLanguages))
+      .filter(stream => !isStrict
+          || containsLanguage(stream, languages)
+          || keepMultiAudio && containsMultiAudio(stream));
+}
+
+function filterByGroup(streams, config) {
+  const blockedGroups = config[BlockedGroupsFilter.key];
+  if (!blockedGroups?.length) {
+    return streams;
+  }
+  return streams.filter(stream => !blockedGroups.includes(stream.metadata.group?.toLowerCase()));
+}
+
+export function isValidSizeRange(sizeText) {
+  // inverted ranges, ex. 5GB-1GB, would filter out every stream
+  const range = parseSizeRange(sizeText);
+  return range.min <= range.max;
+}
+
+function parseSizeRange(sizeText) {
+  const [minText, maxText] = sizeText.includes('-') ? sizeText.split('-') : [undefined, sizeText];
+  return { min: parseSize(minText), max: parseSize(maxText) || Infinity };
+}
+
+function filterByKeywords(streams, config) {
+  const excludeMatchers = toKeywordMatchers(config[ExcludeKeywordsFilter.key]);
+  const requireMatchers = toKeywordMatchers(config[RequireKeywordsFilter.key]);
+  if (!excludeMatchers.length && !requireMatchers.length) {
+    return streams;
+  }
+  return streams.filter(stream => {
+    const titles = `${stream.metadata.title}\n${stream.metadata.fileTitle}`;
+    const isExcluded = excludeMatchers.some(matcher => matcher.test(titles));
+    const isRequired = !requireMatchers.length || requireMatchers.some(matcher => matcher.test(titles));
+    return !isExcluded && isRequired;
+  });
+}
+
+function filterByWebReady(streams, config) {
+  if (config[WebReadyFilter.key] !== 'true') {
+    return streams;
+  }
+  return streams.filter(stream => !stream.behaviorHints?.notWebReady);
+}
+
+export function splitKeywords(keywordsText) {
+  // commas inside a /regex/ keyword are part of the regex, ex. /x26[45]/,/a{1,3}/
+  return keywordsText.match(/\s*\/(?:\\.|[^\\/])+\/\s*(?=,|$)|[^,]+/g) || [];
+}
+
+export function isValidKeyword(keyword) {
+  const regexMatch = keyword.trim().match(/^\/(.+)\/$/);
+  if (!regexMatch) {
+    return true;
+  }
+  if (regexMatch[1].length > MAX_KEYWORD_REGEX_LENGTH) {
+    return false;
+  }
+  try {
+    toKeywordRegex(regexMatch[1]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function toKeywordRegex(pattern) {
+  // user regexes are run on the server, so they use the linear time RE2 engine instead of backtracking RegExp
+  return RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+}
+
+function toKeywordMatchers(keywords) {
+  return (keywords || [])
+      .map(keyword => keyword.trim())
+      .filter(keyword => keyword.length && isValidKeyword(keyword))
+      .map(keyword => {
+        const regexMatch = keyword.match(/^\/(.+)\/$/);
+        if (regexMatch) {
+          // keyword wrapped in slashes is a user provided regex
+          return toKeywordRegex(regexMatch[1]);
+        }
+        const escapedKeyword = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?:^|[^a-z0-9])${escapedKeyword}(?:$|[^a-z0-9])`, 'i');
+      });
+}
@@ -69,6 +69,13 @@ a.install-link {
    text-decoration: none
 }
 
+.install-error {
+   display: none;
+   color: #ff6b6b;
+   font-size: 1.6vh;
+   text-align: center;
+}
+
 .install-button {
    border: 0;
    outline: 0;
@@ -183,21 +190,79 @@ a.install-link {
   outline: none; 
   box-shadow: 0 0 0 2pt rgb(30, 144, 255, 0.7);
 }
+
+.sort-expression {
+  list-style: none;
+  padding: 0;
+  margin: 0;
+}
+
+.sort-expression li {
+  cursor: move;
+}
 `;
-import { Providers, QualityFilter, SizeFilter } from './filter.js';
-import { SortOptions } from './sort.js';
-import { LanguageOptions } from './languages.js';
+import {
+  Providers,
+  QualityFilter,
+  CodecFilter,
+  PreferredCodec,
+  AudioFilter,
+  PreferredAudio,
+  SizeFilter,
+  SeedersFilter,
+  MaxAgeFilter,
+  MinAgeFilter,
+  BlockedGroupsFilter,
+  PreferredGroups,
+  ExcludeKeywordsFilter,
+  RequireKeywordsFilter,
+  WebReadyFilter
+} from './filter.js';
+import {
+  SortOptions,
+  SortExpression,
+  ScoreWeights,
+  ScoreDebug,
+  HealthOptions,
+  parseSortExpression,
+  parseScoreWeights
+} from './sort.js';
+import { LanguageOptions, LanguageModeOptions, ExcludeLanguageOptions } from './languages.js';
+import { DisplayOptions, TemplateOptions, NameTemplate, TitleTemplate } from './displayOptions.js';
 import { DebridOptions } from '../moch/options.js';
-import { MochOptions } from '../moch/moch.js';
-import { PreConfigurations } from './configuration.js';
+import { MochOptions } from '../moch/mochOptions.js';
+import { ConfigurationSchema, CONFIGURATION_VERSION, PreConfigurations, ValueType } from './configuration.js';
+import { isEncryptionEnabled } from './secrets.js';
 
 export default function landingTemplate(manifest, config = {}) {
   const providers = config[Providers.key] || Providers.options.map(provider => provider.key);
   const sort = config[SortOptions.key] || SortOptions.options.qualitySeeders.key;
+  const sortExpression = parseSortExpression(config);
+  const scoreWeights = parseScoreWeights(config);
+  const scoreDebug = config[ScoreDebug.key] === 'true';
   const languages = config[LanguageOptions.key] || [];
+  const languageMode = config[LanguageModeOptions.key] || LanguageModeOptions.options.priority.key;
+  const excludedLanguages = config[ExcludeLanguageOptions.key] || [];
   const qualityFilters = config[QualityFilter.key] || [];
+  const codecFilters = config[CodecFilter.key] || [];
+  const preferredCodec = config[PreferredCodec.key] || 'none';
+  const audioFilters = config[AudioFilter.key] || [];
+  const preferredAudio = config[PreferredAudio.key] || 'none';
   const sizeFilter = (config[SizeFilter.key] || []).join(',');
+  const blockedGroups = (config[BlockedGroupsFilter.key] || []).join(',');
+  const preferredGroups = (config[PreferredGroups.key] || []).join(',');
+  const excludeKeywords = (config[ExcludeKeywordsFilter.key] || []).join(',');
+  const requireKeywords = (config[RequireKeywordsFilter.key] || []).join(',');
+  const webReady = config[WebReadyFilter.key] === 'true';
   const limit = config.limit || '';
+  const minSeeders = config[SeedersFilter.key] || '';
+  const maxAge = config[MaxAgeFilter.key] || '';
+  const minAge = config[MinAgeFilter.key] || '';
+  const health = config[HealthOptions.key] || HealthOptions.options.auto.key;
+  const displayOptions = config[DisplayOptions.key] || [];
+  const template = config[TemplateOptions.key] || TemplateOptions.options.default.key;
+  const nameTemplate = config[NameTemplate.key] || '';
+  const titleTemplate = config[TitleTemplate.key] || '';
 
   const debridProvider = Object.keys(MochOptions).find(mochKey => config[mochKey]);
   const debridOptions = config[DebridOptions.key] || [];
@@ -209,6 +274,11 @@ export default function landingTemplate(manifest, config = {}) {
   const putioKey = config[MochOptions.putio.key] || '';
   const putioClientId = putioKey.replace(/@.*/, '');
   const putioToken = putioKey.replace(/.*@/, '');
+  const encryptionEnabled = isEncryptionEnabled();
+  // lists with own splitting rules are sent as text and split by the server
+  const listKeys = ConfigurationSchema
+      .filter(option => option.type === ValueType.LIST && !option.split)
+      .map(option => option.key);
 
   const background = manifest.background || 'https://dl.strem.io/addon-background.jpg';
   const logo = manifest.logo || 'https://dl.strem.io/addon-logo.png';
@@ -218,15 +288,55 @@ export default function landingTemplate(manifest, config = {}) {
   const sortOptionsHTML = Object.values(SortOptions.options)
       .map((option, i) => `<option value="${option.key}" ${i === 0 ? 'selected' : ''}>${option.description}</option>`)
       .join('\n');
+  const sortExpressionHTML = sortExpression
+      .concat(Object.keys(SortExpression.options).filter(key => !sortExpression.includes(key)))
+      .map(key => SortExpression.options[key])
+      .map(option => `<li class="input" draggable="true" data-key="${option.key}">
+             <input type="checkbox" onchange="generateInstallLink()" ${sortExpression.includes(option.key) ? 'checked' : ''}>
+             ${option.description}
+           </li>`)
+      .join('\n');
+  const scoreWeightsHTML = Object.values(ScoreWeights.options)
+      .map(option => `<label class="label" for="iScoreWeight-${option.key}">${option.description} weight:</label>
+           <input type="text" inputmode="numeric" pattern="[0-9]*" id="iScoreWeight-${option.key}" data-key="${option.key}" data-default="${option.weight}" onchange="generateInstallLink()" class="input score-weight" placeholder="${option.weight}" value="${scoreWeights[option.key] !== option.weight ? scoreWeights[option.key] : ''}">`)
+      .join('\n');
+  const healthOptionsHTML = Object.values(HealthOptions.options)
+      .map((option, i) => `<option value="${option.key}" ${i === 0 ? 'selected' : ''}>${option.description}</option>`)
+      .join('\n');
   const languagesOptionsHTML = LanguageOptions.options
       .map((option, i) => `<option value="${option.key}">${option.label}</option>`)
       .join('\n');
+  const languageModeOptionsHTML = Object.values(LanguageModeOptions.options)
+      .map((option, i) => `<option value="${option.key}" ${i === 0 ? 'selected' : ''}>${option.description}</option>`)
+      .join('\n');
+  const excludeLanguagesOptionsHTML = ExcludeLanguageOptions.options
+      .map(option => `<option value="${option.key}">${option.label}</option>`)
+      .join('\n');
   const qualityFiltersHTML = Object.values(QualityFilter.options)
       .map(option => `<option value="${option.key}">${option.label}</option>`)
       .join('\n');
+  const codecFiltersHTML = CodecFilter.options
+      .map(option => `<option value="${option.key}">${option.label}</option>`)
+      .join('\n');
+  const preferredCodecHTML = PreferredCodec.options
+      .map(option => `<option value="${option.key}">${option.label}</option>`)
+      .join('\n');
+  const audioFiltersHTML = AudioFilter.options
+      .map(option => `<option value="${option.key}">${option.label}</option>`)
+      .join('\n');
+  const preferredAudioHTML = PreferredAudio.options
+      .map(option => `<option value="${option.key}">${option.label}</option>`)
+      .join('\n');
   const debridProvidersHTML = Object.values(MochOptions)
       .map(moch => `<option value="${moch.key}">${moch.name}</option>`)
       .join('\n');
+  const displayOptionsHTML = Object.values(DisplayOptions.options)
+      .map(option => `<option value="${option.key}">${option.description}</option>`)
+      .join('\n');
+  const templateOptionsHTML = Object.values(TemplateOptions.options)
+      .map((option, i) => `<option value="${option.key}" ${i === 0 ? 'selected' : ''}>${option.description}</option>`)
+      .join('\n');
+  const templatePlaceholders = TemplateOptions.placeholders.map(placeholder => `{${placeholder}}`).join(' ');
   const debridOptionsHTML = Object.values(DebridOptions.options)
       .map(option => `<option value="${option.key}">${option.description}</option>`)
       .join('\n');
@@ -282,21 +392,116 @@ export default function landingTemplate(manifest, config = {}) {
            ${sortOptionsHTML}
          </select>
          
+         <div id="dSortExpression">
+           <label class="label" for="iSortExpression">Custom sort order (drag to reorder, check to enable):</label>
+           <ul id="iSortExpression" class="sort-expression">
+             ${sortExpressionHTML}
+           </ul>
+         </div>
+         
+         <div id="dScoreWeights">
+           ${scoreWeightsHTML}
+           <label class="label" for="iScoreDebug">
+             <input type="checkbox" id="iScoreDebug" onchange="generateInstallLink()">
+             ${ScoreDebug.description}
+           </label>
+         </div>
+         
          <label class="label" for="iLanguages">Priority foreign language:</label>
          <select id="iLanguages" class="input" onchange="generateInstallLink()" name="languages[]" multiple="multiple" title="Streams with the selected dubs/subs language will be shown on the top">
            ${languagesOptionsHTML}
          </select>
          
+         <label class="label" for="iLanguageMode">Foreign language mode:</label>
+         <select id="iLanguageMode" class="input" onchange="generateInstallLink()">
+           ${languageModeOptionsHTML}
+         </select>
+         
+         <label class="label" for="iExcludeLanguages">Exclude languages:</label>
+         <select id="iExcludeLanguages" class="input" onchange="generateInstallLink()" name="excludeLanguages[]" multiple="multiple" title="Streams with the selected dubs/subs language will be hidden">
+           ${excludeLanguagesOptionsHTML}
+         </select>
+         
          <label class="label" for="iQualityFilter">Exclude qualities/resolutions:</label>
          <select id="iQualityFilter" class="input" onchange="generateInstallLink()" name="qualityFilters[]" multiple="multiple">
             ${qualityFiltersHTML}
          </select>
          
+         <label class="label" for="iCodecFilter">Exclude video codecs:</label>
+         <select id="iCodecFilter" class="input" onchange="generateInstallLink()" name="codecFilters[]" multiple="multiple">
+            ${codecFiltersHTML}
+         </select>
+         
+         <label class="label" for="iPreferredCodec">Preferred video codec:</label>
+         <select id="iPreferredCodec" class="input" onchange="generateInstallLink()" title="Streams with the selected codec will be shown first when they are otherwise sorted equally within the same quality">
+            <option value="none" selected>None</option>
+            ${preferredCodecHTML}
+         </select>
+         
+         <label class="label" for="iAudioFilter">Exclude audio formats:</label>
+         <select id="iAudioFilter" class="input" onchange="generateInstallLink()" name="audioFilters[]" multiple="multiple">
+            ${audioFiltersHTML}
+         </select>
+         
+         <label class="label" for="iPreferredAudio">Preferred audio format:</label>
+         <select id="iPreferredAudio" class="input" onchange="generateInstallLink()" title="Streams with the selected audio format will be shown first when they are otherwise sorted equally within the same quality">
+            <option value="none" selected>None</option>
+            ${preferredAudioHTML}
+         </select>
+         
          <label class="label" id="iLimitLabel" for="iLimit">Max results per quality:</label>
          <input type="text" inputmode="numeric" pattern="[0-9]*" id="iLimit" onchange="generateInstallLink()" class="input" placeholder="All results">
          
-         <label class="label" id="iSizeFilterLabel" for="iSizeFilter">Video size limit:</label>
-         <input type="text" pattern="([0-9.]*(?:MB|GB),?)+" id="iSizeFilter" onchange="generateInstallLink()" class="input" placeholder="No limit" title="Returned videos cannot exceed this size, use comma to have different size for movies and series. Examples: 5GB ; 800MB ; 10GB,2GB">
+         <label class="label" id="iSizeFilterLabel" for="iSizeFilter">Video size range:</label>
+         <input type="text" pattern="((?:[0-9.]+(?:MB|GB|TB))?(?:-(?:[0-9.]+(?:MB|GB|TB))?)?,?)+" id="iSizeFilter" onchange="generateInstallLink()" class="input" placeholder="No limit" title="Returned videos have to be within this size, either a max size or a min-max range. Ranges start with the smaller size. Use comma to have different sizes for movies, episodes and season pack episodes. Examples: 5GB ; 800MB-5GB ; 1GB-10GB,200MB-2GB ; 1GB-,300MB-,500MB-3GB">
+         
+         <label class="label" for="iMinSeeders">Minimum seeders:</label>
+         <input type="text" inputmode="numeric" pattern="[0-9]*" id="iMinSeeders" onchange="generateInstallLink()" class="input" placeholder="No minimum">
+         
+         <label class="label" for="iMaxAge">Max torrent age in days:</label>
+         <input type="text" inputmode="numeric" pattern="[0-9]*" id="iMaxAge" onchange="generateInstallLink()" class="input" placeholder="No limit" title="Hide torrents uploaded more than this many days ago">
+         
+         <label class="label" for="iMinAge">Min torrent age in days:</label>
+         <input type="text" inputmode="numeric" pattern="[0-9]*" id="iMinAge" onchange="generateInstallLink()" class="input" placeholder="No limit" title="Hide torrents uploaded less than this many days ago">
+         
+         <label class="label" for="iHealth">Torrent health:</label>
+         <select id="iHealth" class="input" onchange="generateInstallLink()">
+           ${healthOptionsHTML}
+         </select>
+         
+         <label class="label" for="iPreferredGroups">Preferred release groups:</label>
+         <input type="text" id="iPreferredGroups" onchange="generateInstallLink()" class="input" placeholder="None" title="Releases from these comma separated groups will be shown first within the same quality. Example: FLUX,NTb">
+         
+         <label class="label" for="iBlockedGroups">Blocked release groups:</label>
+         <input type="text" id="iBlockedGroups" onchange="generateInstallLink()" class="input" placeholder="None" title="Releases from these comma separated groups will be hidden">
+         
+         <label class="label" for="iExcludeKeywords">Exclude keywords:</label>
+         <input type="text" id="iExcludeKeywords" onchange="generateInstallLink()" class="input" placeholder="None" title="Streams which torrent or file title contains any of these comma separated keywords will be hidden. Wrap a keyword in slashes to use it as a regex, backreferences and lookarounds are not supported. Examples: HC,KORSUB ; /\\bcam(rip)?\\b/">
+         
+         <label class="label" for="iRequireKeywords">Require keywords:</label>
+         <input type="text" id="iRequireKeywords" onchange="generateInstallLink()" class="input" placeholder="None" title="Only streams which torrent or file title contains at least one of these comma separated keywords will be shown. Wrap a keyword in slashes to use it as a regex. Examples: REMUX ; x265,HEVC">
+         
+         <label class="label" for="iWebReady">
+           <input type="checkbox" id="iWebReady" onchange="generateInstallLink()">
+           ${WebReadyFilter.description}
+         </label>
+         
+         <label class="label" for="iTemplate">Stream layout:</label>
+         <select id="iTemplate" class="input" onchange="templateChange()">
+           ${templateOptionsHTML}
+         </select>
+         
+         <div id="dTemplate">
+           <label class="label" for="iNameTemplate">Name template:</label>
+           <input type="text" id="iNameTemplate" onchange="generateInstallLink()" class="input" placeholder="${TemplateOptions.options.verbose.name}" title="Available placeholders: ${templatePlaceholders}. Use \\n for a new line. Space separated parts with only empty placeholders are hidden.">
+           <label class="label" for="iTitleTemplate">Title template:</label>
+           <input type="text" id="iTitleTemplate" onchange="generateInstallLink()" class="input" placeholder="${TemplateOptions.options.verbose.title}" title="Available placeholders: ${templatePlaceholders}. Use \\n for a new line. Space separated parts with only empty placeholders are hidden.">
+         </div>
+         
+         <label class="label" for="iDisplayOptions">Display options:</label>
+         <select id="iDisplayOptions" class="input" onchange="generateInstallLink()" name="displayOptions[]" multiple="multiple">
+            ${displayOptionsHTML}
+         </select>
          
          
          <label class="label" for="iDebridProviders">Debrid provider:</label>
@@ -342,12 +547,18 @@ export default function landingTemplate(manifest, config = {}) {
               ${debridOptionsHTML}
            </select>
          </div>
+         ${encryptionEnabled ? `
+         <label class="label" for="iEncrypt">
+           <input type="checkbox" id="iEncrypt" onchange="generateInstallLink()" checked>
+           Hide API keys in the install link
+         </label>` : ''}
          
          <div class="separator"></div>
 
          <a id="installLink" class="install-link" href="#">
             <button name="Install" class="install-button">INSTALL</button>
          </a>
+         <p id="installError" class="install-error"></p>
          <div class="contact">
            <p>Or paste into Stremio search bar after clicking install</p>
         </div>
@@ -372,12 +583,36 @@ export default function landingTemplate(manifest, config = {}) {
                     onChange: () => generateInstallLink()
                 });
                 $('#iLanguages').multiselect('select', [${languages.map(language => '"' + language + '"')}]);
+                $('#iExcludeLanguages').multiselect({ 
+                    nonSelectedText: 'None',
+                    buttonTextAlignment: 'left',
+                    onChange: () => generateInstallLink()
+                });
+                $('#iExcludeLanguages').multiselect('select', [${excludedLanguages.map(language => '"' + language + '"')}]);
                 $('#iQualityFilter').multiselect({ 
                     nonSelectedText: 'None',
                     buttonTextAlignment: 'left',
                     onChange: () => generateInstallLink()
                 });
                 $('#iQualityFilter').multiselect('select', [${qualityFilters.map(filter => '"' + filter + '"')}]);
+                $('#iCodecFilter').multiselect({ 
+                    nonSelectedText: 'None',
+                    buttonTextAlignment: 'left',
+                    onChange: () => generateInstallLink()
+                });
+                $('#iCodecFilter').multiselect('select', [${codecFilters.map(filter => '"' + filter + '"')}]);
+                $('#iAudioFilter').multiselect({ 
+                    nonSelectedText: 'None',
+                    buttonTextAlignment: 'left',
+                    onChange: () => generateInstallLink()
+                });
+                $('#iAudioFilter').multiselect('select', [${audioFilters.map(filter => '"' + filter + '"')}]);
+                $('#iDisplayOptions').multiselect({ 
+                    nonSelectedText: 'None',
+                    buttonTextAlignment: 'left',
+                    onChange: () => generateInstallLink()
+                });
+                $('#iDisplayOptions').multiselect('select', [${displayOptions.map(option => '"' + option + '"')}]);
                 $('#iDebridOptions').multiselect({ 
                     nonSelectedText: 'None',
                     buttonTextAlignment: 'left',
@@ -387,7 +622,11 @@ export default function landingTemplate(manifest, config = {}) {
               } else {
                 $('#iProviders').val([${providers.map(provider => '"' + provider + '"')}]);
                 $('#iLanguages').val([${languages.map(language => '"' + language + '"')}]);
+                $('#iExcludeLanguages').val([${excludedLanguages.map(language => '"' + language + '"')}]);
                 $('#iQualityFilter').val([${qualityFilters.map(filter => '"' + filter + '"')}]);
+                $('#iCodecFilter').val([${codecFilters.map(filter => '"' + filter + '"')}]);
+                $('#iAudioFilter').val([${audioFilters.map(filter => '"' + filter + '"')}]);
+                $('#iDisplayOptions').val([${displayOptions.map(option => '"' + option + '"')}]);
                 $('#iDebridOptions').val([${debridOptions.map(option => '"' + option + '"')}]);
               }
               $('#iDebridProviders').val("${debridProvider || 'none'}");
@@ -399,14 +638,58 @@ export default function landingTemplate(manifest, config = {}) {
               $('#iPutioClientId').val("${putioClientId}");
               $('#iPutioToken').val("${putioToken}");
               $('#iSort').val("${sort}");
+              $('#iLanguageMode').val("${languageMode}");
+              $('#iPreferredCodec').val("${preferredCodec}");
+              $('#iPreferredAudio').val("${preferredAudio}");
               $('#iLimit').val("${limit}");
               $('#iSizeFilter').val("${sizeFilter}");
-              generateInstallLink();
+              $('#iMinSeeders').val("${minSeeders}");
+              $('#iMaxAge').val("${maxAge}");
+              $('#iMinAge').val("${minAge}");
+              $('#iHealth').val("${health}");
+              $('#iScoreDebug').prop('checked', ${scoreDebug});
+              $('#iWebReady').prop('checked', ${webReady});
+              $('#iTemplate').val(${scriptString(template)});
+              $('#iNameTemplate').val(${scriptString(nameTemplate)});
+              $('#iTitleTemplate').val(${scriptString(titleTemplate)});
+              $('#iPreferredGroups').val(${scriptString(preferredGroups)});
+              $('#iBlockedGroups').val(${scriptString(blockedGroups)});
+              $('#iExcludeKeywords').val(${scriptString(excludeKeywords)});
+              $('#iRequireKeywords').val(${scriptString(requireKeywords)});
+              initSortExpression();
+              sortModeChange();
+              templateChange();
               debridProvidersChange();
           });
           
+          function initSortExpression() {
+            let draggedItem;
+            $('#iSortExpression li')
+                .on('dragstart', function() {
+                  draggedItem = this;
+                })
+                .on('dragover', function(event) {
+                  event.preventDefault();
+                })
+                .on('drop', function(event) {
+                  event.preventDefault();
+                  if (!draggedItem || draggedItem === this) {
+                    return;
+                  }
+                  const items = $('#iSortExpression li').toArray();
+                  if (items.indexOf(draggedItem) < items.indexOf(this)) {
+                    $(this).after(draggedItem);
+                  } else {
+                    $(this).before(draggedItem);
+                  }
+                  generateInstallLink();
+                });
+          }
+          
           function sortModeChange() {
-            if (['${SortOptions.options.seeders.key}', '${SortOptions.options.size.key}'].includes($('#iSort').val())) {
+            $('#dSortExpression').toggle($('#iSort').val() === '${SortOptions.options.custom.key}');
+            $('#dScoreWeights').toggle($('#iSort').val() === '${SortOptions.options.score.key}');
+            if (['${SortOptions.options.seeders.key}', '${SortOptions.options.size.key}', '${SortOptions.options.newest.key}', '${SortOptions.options.custom.key}', '${SortOptions.options.score.key}'].includes($('#iSort').val())) {
               $("#iLimitLabel").text("Max results:");
             } else {
               $("#iLimitLabel").text("Max results per quality:");
@@ -414,6 +697,11 @@ export default function landingTemplate(manifest, config = {}) {
             generateInstallLink();
           }
           
+          function templateChange() {
+            $('#dTemplate').toggle($('#iTemplate').val() === '${TemplateOptions.options.custom.key}');
+            generateInstallLink();
+          }
+          
           function debridProvidersChange() {
             const provider = $('#iDebridProviders').val()
             $('#dDebridOptions').toggle(provider !== 'none');
@@ -425,14 +713,45 @@ export default function landingTemplate(manifest, config = {}) {
             $('#dPutio').toggle(provider === '${MochOptions.putio.key}');
           }
           
+          let installLinkRequest = 0;
+          const listKeys = ${scriptString(listKeys)};
+          
           function generateInstallLink() {
               const providersList = $('#iProviders').val() || [];
               const providersValue = providersList.join(',');
               const qualityFilterValue = $('#iQualityFilter').val().join(',') || '';
+              const codecFilterValue = $('#iCodecFilter').val().join(',') || '';
+              const preferredCodecValue = $('#iPreferredCodec').val() || '';
+              const audioFilterValue = $('#iAudioFilter').val().join(',') || '';
+              const preferredAudioValue = $('#iPreferredAudio').val() || '';
               const sortValue = $('#iSort').val() || '';
+              const sortExpressionValue = $('#iSortExpression li').toArray()
+                  .filter(item => $(item).find('input').is(':checked'))
+                  .map(item => $(item).data('key'))
+                  .join('${SortExpression.delimiter}');
+              const scoreWeightsValue = $('.score-weight').toArray()
+                  .filter(input => /^[0-9]+$/.test($(input).val()) && parseInt($(input).val(), 10) !== $(input).data('default'))
+                  .map(input => $(input).data('key') + '${ScoreWeights.delimiter}' + $(input).val())
+                  .join(',');
+              const scoreDebugValue = $('#iScoreDebug').is(':checked');
               const languagesValue = $('#iLanguages').val().join(',') || [];
+              const languageModeValue = $('#iLanguageMode').val() || '';
+              const excludedLanguagesValue = $('#iExcludeLanguages').val().join(',') || '';
               const limitValue = $('#iLimit').val() || '';
               const sizeFilterValue = $('#iSizeFilter').val() || '';
+              const minSeedersValue = $('#iMinSeeders').val() || '';
+              const maxAgeValue = $('#iMaxAge').val() || '';
+              const minAgeValue = $('#iMinAge').val() || '';
+              const healthValue = $('#iHealth').val() || '';
+              const preferredGroupsValue = $('#iPreferredGroups').val() || '';
+              const blockedGroupsValue = $('#iBlockedGroups').val() || '';
+              const excludeKeywordsValue = $('#iExcludeKeywords').val() || '';
+              const requireKeywordsValue = $('#iRequireKeywords').val() || '';
+              const webReadyValue = $('#iWebReady').is(':checked');
+              const displayOptionsValue = $('#iDisplayOptions').val().join(',') || '';
+              const templateValue = $('#iTemplate').val() || '';
+              const nameTemplateValue = $('#iNameTemplate').val() || '';
+              const titleTemplateValue = $('#iTitleTemplate').val() || '';
               
               const debridOptionsValue = $('#iDebridOptions').val().join(',') || '';
               const realDebridValue = $('#iRealDebrid').val() || '';
@@ -446,10 +765,33 @@ export default function landingTemplate(manifest, config = {}) {
               
               const providers = providersList.length && providersList.length < ${Providers.options.length} && providersValue;
               const qualityFilters = qualityFilterValue.length && qualityFilterValue;
+              const sortExpression = sortValue === '${SortOptions.options.custom.key}' && sortExpressionValue.length && sortExpressionValue;
+              const scoreWeights = sortValue === '${SortOptions.options.score.key}' && scoreWeightsValue.length && scoreWeightsValue;
+              const scoreDebug = sortValue === '${SortOptions.options.score.key}' && scoreDebugValue && 'true';
+              const codecFilters = codecFilterValue.length && codecFilterValue;
+              const preferredCodec = preferredCodecValue !== 'none' && preferredCodecValue;
+              const audioFilters = audioFilterValue.length && audioFilterValue;
+              const preferredAudio = preferredAudioValue !== 'none' && preferredAudioValue;
               const sort = sortValue !== '${SortOptions.options.qualitySeeders.key}' && sortValue;
               const languages = languagesValue.length && languagesValue;
+              const languageMode = languageModeValue !== '${LanguageModeOptions.options.priority.key}' && languageModeValue;
+              const excludedLanguages = excludedLanguagesValue.length && excludedLanguagesValue;
               const limit = /^[1-9][0-9]{0,2}$/.test(limitValue) && limitValue;
               const sizeFilter = sizeFilterValue.length && sizeFilterValue;
+              const minSeeders = /^[1-9][0-9]*$/.test(minSeedersValue) && minSeedersValue;
+              const maxAge = /^[1-9][0-9]*$/.test(maxAgeValue) && maxAgeValue;
+              const minAge = /^[1-9][0-9]*$/.test(minAgeValue) && minAgeValue;
+              const health = healthValue !== '${HealthOptions.options.auto.key}' && healthValue;
+              const preferredGroups = preferredGroupsValue.length && preferredGroupsValue.replace(/\s/g, '');
+              const blockedGroups = blockedGroupsValue.length && blockedGroupsValue.replace(/\s/g, '');
+              const excludeKeywords = excludeKeywordsValue.length && excludeKeywordsValue.trim();
+              const webReady = webReadyValue && 'true';
+              const requireKeywords = requireKeywordsValue.length && requireKeywordsValue.trim();
+              const displayOptions = displayOptionsValue.length && displayOptionsValue;
+              const template = templateValue !== '${TemplateOptions.options.default.key}' && templateValue;
+              const isCustomTemplate = templateValue === '${TemplateOptions.options.custom.key}';
+              const nameTemplate = isCustomTemplate && nameTemplateValue.length && nameTemplateValue;
+              const titleTemplate = isCustomTemplate && titleTemplateValue.length && titleTemplateValue;
               
               const debridOptions = debridOptionsValue.length && debridOptionsValue.trim();
               const realDebrid = realDebridValue.length && realDebridValue.trim();
@@ -462,13 +804,35 @@ export default function landingTemplate(manifest, config = {}) {
               const preConfigurations = { 
                 ${preConfigurationObject}
               };
-              let configurationValue = [
+              const configurationEntries = [
                     ['${Providers.key}', providers],
                     ['${SortOptions.key}', sort],
+                    ['${SortExpression.key}', sortExpression],
+                    ['${ScoreWeights.key}', scoreWeights],
+                    ['${ScoreDebug.key}', scoreDebug],
                     ['${LanguageOptions.key}', languages],
+                    ['${LanguageModeOptions.key}', languageMode],
+                    ['${ExcludeLanguageOptions.key}', excludedLanguages],
                     ['${QualityFilter.key}', qualityFilters],
+                    ['${CodecFilter.key}', codecFilters],
+                    ['${PreferredCodec.key}', preferredCodec],
+                    ['${AudioFilter.key}', audioFilters],
+                    ['${PreferredAudio.key}', preferredAudio],
                     ['limit', limit],
                     ['${SizeFilter.key}', sizeFilter],
+                    ['${SeedersFilter.key}', minSeeders],
+                    ['${MaxAgeFilter.key}', maxAge],
+                    ['${MinAgeFilter.key}', minAge],
+                    ['${HealthOptions.key}', health],
+                    ['${PreferredGroups.key}', preferredGroups],
+                    ['${BlockedGroupsFilter.key}', blockedGroups],
+                    ['${ExcludeKeywordsFilter.key}', excludeKeywords],
+                    ['${RequireKeywordsFilter.key}', requireKeywords],
+                    ['${WebReadyFilter.key}', webReady],
+                    ['${TemplateOptions.key}', template],
+                    ['${NameTemplate.key}', nameTemplate],
+                    ['${TitleTemplate.key}', titleTemplate],
+                    ['${DisplayOptions.key}', displayOptions],
                     ['${DebridOptions.key}', debridOptions], 
                     ['${MochOptions.realdebrid.key}', realDebrid],
                     ['${MochOptions.premiumize.key}', premiumize],
@@ -476,20 +840,65 @@ export default function landingTemplate(manifest, config = {}) {
                     ['${MochOptions.debridlink.key}', debridLink],
                     ['${MochOptions.offcloud.key}', offcloud],
                     ['${MochOptions.putio.key}', putio]
-                  ].filter(([_, value]) => value.length).map(([key, value]) => key + '=' + value).join('|');
-              configurationValue = Object.entries(preConfigurations)
-                  .filter(([key, value]) => value === configurationValue)
-                  .map(([key, value]) => key)[0] || configurationValue;
+                  ].filter(([_, value]) => value.length);
+              const legacyValue = configurationEntries.map(([key, value]) => key + '=' + value).join('|');
+              const configurationValue = Object.entries(preConfigurations)
+                  .filter(([key, value]) => value === legacyValue)
+                  .map(([key, value]) => key)[0] || encodeConfiguration(configurationEntries);
               const configuration = configurationValue && configurationValue.length ? '/' + configurationValue : '';
+              const hasApiKey = [realDebrid, premiumize, allDebrid, debridLink, offcloud, putio].some(value => !!value);
+              const request = ++installLinkRequest;
+              if (${encryptionEnabled} && hasApiKey && $('#iEncrypt').is(':checked')) {
+                // api keys are sealed by the server, so they are not exposed in the install link
+                installLink.removeAttribute('href');
+                fetch('/encrypt', { method: 'POST', body: configurationValue })
+                    .then(response => response.ok ? response.text() : Promise.reject(response.status))
+                    .then(encrypted => request === installLinkRequest && setInstallLink('/' + encrypted))
+                    .catch(() => request === installLinkRequest
+                        && setInstallError('Failed hiding API keys, try again later or uncheck the option'));
+                return;
+              }
+              setInstallLink(configuration);
+          }
+          
+          function encodeConfiguration(entries) {
+              if (!entries.length) {
+                return '';
+              }
+              // values are kept raw, since the json is encoded as a whole
+              const config = entries.reduce((map, [key, value]) => {
+                map[key] = listKeys.includes(key) ? value.split(',') : value;
+                return map;
+              }, { version: ${CONFIGURATION_VERSION} });
+              const bytes = new TextEncoder().encode(JSON.stringify(config));
+              return btoa(String.fromCharCode(...bytes)).replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+          }
+          
+          function setInstallLink(configuration) {
               const location = window.location.host + configuration + '/manifest.json'
               installLink.href = 'stremio://' + location;
+              installError.style.display = 'none';
+          }
+
+          function setInstallError(message) {
+              // no fallback to the plain link, since the api keys were asked to be hidden
+              installLink.removeAttribute('href');
+              installError.textContent = message;
+              installError.style.display = 'block';
           }
 
           installLink.addEventListener('click', function() {
-             navigator.clipboard.writeText(installLink.href.replace('stremio://', 'https://'));
+             if (installLink.href) {
+               navigator.clipboard.writeText(installLink.href.replace('stremio://', 'https://'));
+             }
           });
       </script>
 	</body>
 
 	</html>`
 }
+
+function scriptString(value) {
+  // escape user provided values embedded into the inline script
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
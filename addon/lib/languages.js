@@ -55,6 +55,31 @@ export const LanguageOptions = {
   }))
 }
 
+export const LanguageModeOptions = {
+  key: 'languagemode',
+  options: {
+    priority: {
+      key: 'priority',
+      description: 'Show selected languages on the top'
+    },
+    strict: {
+      key: 'strict',
+      description: 'Show only selected languages'
+    },
+    strictMulti: {
+      key: 'strictmulti',
+      description: 'Show only selected languages and multi audio'
+    }
+  }
+}
+
+export const ExcludeLanguageOptions = {
+  key: 'excludelanguages',
+  options: LanguageOptions.options
+}
+
+const multiAudioLanguages = ['multi audio', 'dual audio'];
+
 export function mapLanguages(languages) {
   const mapped = languages
       .map(language => languageMapping[language])
@@ -67,7 +92,11 @@ export function mapLanguages(languages) {
 }
 
 export function containsLanguage(stream, languages) {
-  return languages.map(lang => languageMapping[lang]).some(lang => stream.title.includes(lang));
+  return languages.some(lang => stream.metadata?.languages?.includes(lang));
+}
+
+export function containsMultiAudio(stream) {
+  return containsLanguage(stream, multiAudioLanguages);
 }
 
 export function languageFromCode(code) {
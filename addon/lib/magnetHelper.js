@@ -1,12 +1,22 @@
 import axios from 'axios';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import magnet from 'magnet-uri';
 import { getRandomUserAgent } from './requestHelper.js';
 import { getTorrent } from './repository.js';
 import { Type } from './types.js';
-import { extractProvider } from "./titleHelper.js";
 import { Providers } from "./filter.js";
 
-const TRACKERS_URL = 'https://raw.githubusercontent.com/ngosang/trackerslist/master/trackers_best.txt';
+// comma separated list of tracker list urls or local files
+const TRACKERS_SOURCES = (process.env.TRACKERS_SOURCES
+    || 'https://raw.githubusercontent.com/ngosang/trackerslist/master/trackers_best.txt')
+    .split(',')
+    .map(source => source.trim())
+    .filter(source => source.length);
+const TRACKERS_REFRESH_INTERVAL = parseInt(process.env.TRACKERS_REFRESH_INTERVAL) || 12 * 60 * 60; // 12 hours
+const TRACKERS_FILE = process.env.TRACKERS_FILE || path.join(os.tmpdir(), 'torrentio-trackers.json');
+const TRACKER_PROTOCOLS = ['udp:', 'http:', 'https:', 'ws:', 'wss:'];
 const DEFAULT_TRACKERS = [
   "udp://47.ip-51-68-199.eu:6969/announce",
   "udp://9.rarbg.me:2940",
@@ -28,7 +38,7 @@ const DEFAULT_TRACKERS = [
   "udp://tracker.torrent.eu.org:451/announce",
   "udp://valakas.rollo.dnsabr.com:2710/announce",
   "udp://www.torrent.eu.org:451/announce",
-  "https://redecanais.in/"
+  "https://redecanais.in/",
   "https://torrentgalaxy.skin/home/"
 ]
 const ANIME_TRACKERS = [
@@ -53,44 +63,115 @@ const RUSSIAN_TRACKERS = [
 // as the torrent won't start anyway.
 const RUSSIAN_PROVIDERS = Providers.options
     .filter(provider => provider.foreign === '🇷🇺')
-    .map(provider => provider.label);
+    .map(provider => provider.key);
 const ANIME_PROVIDERS = Providers.options
     .filter(provider => provider.anime)
-    .map(provider => provider.label);
+    .map(provider => provider.key);
 let BEST_TRACKERS = [];
-let ALL_ANIME_TRACKERS = [];
-let ALL_RUSSIAN_TRACKERS = [];
+let ALL_ANIME_TRACKERS = unique(DEFAULT_TRACKERS.concat(ANIME_TRACKERS));
+let ALL_RUSSIAN_TRACKERS = unique(DEFAULT_TRACKERS.concat(RUSSIAN_TRACKERS));
+let TRACKERS_UPDATED_AT = undefined;
+let TRACKERS_ORIGIN = 'default';
 
-export async function getMagnetLink(infoHash) {
-  const torrent = await getTorrent(infoHash).catch(() => ({ infoHash }));
+export async function getMagnetLink(infoHash, knownTorrent) {
+  const torrent = knownTorrent || await getTorrent(infoHash).catch(() => ({ infoHash }));
   const torrentTrackers = torrent?.trackers?.split(',') || [];
   const animeTrackers = torrent?.type === Type.ANIME ? ALL_ANIME_TRACKERS : [];
-  const providerTrackers = RUSSIAN_PROVIDERS.includes(torrent?.provider) && ALL_RUSSIAN_TRACKERS || [];
+  const providerTrackers = RUSSIAN_PROVIDERS.includes(torrent?.provider?.toLowerCase()) && ALL_RUSSIAN_TRACKERS || [];
   const trackers = unique([].concat(torrentTrackers).concat(animeTrackers).concat(providerTrackers));
 
   return magnet.encode({ infoHash: infoHash, name: torrent?.title, announce: trackers });
 }
 
 export async function initBestTrackers() {
-  BEST_TRACKERS = await getBestTrackers();
+  await loadPersistedTrackers();
+  await refreshBestTrackers();
+  setInterval(() => refreshBestTrackers(), TRACKERS_REFRESH_INTERVAL * 1000).unref();
+}
+
+export function getTrackersInfo() {
+  return {
+    sources: TRACKERS_SOURCES,
+    origin: TRACKERS_ORIGIN,
+    updatedAt: TRACKERS_UPDATED_AT && new Date(TRACKERS_UPDATED_AT).toISOString(),
+    refreshInterval: TRACKERS_REFRESH_INTERVAL,
+    best: BEST_TRACKERS,
+    anime: ALL_ANIME_TRACKERS,
+    russian: ALL_RUSSIAN_TRACKERS
+  };
+}
+
+async function refreshBestTrackers() {
+  const results = await Promise.all(TRACKERS_SOURCES.map(source => getTrackersList(source).catch(error => {
+    console.log(`Failed retrieving trackers from ${source}: ${error.message}`);
+    return [];
+  })));
+  const trackers = unique(results.reduce((a, b) => a.concat(b), []));
+  if (!trackers.length) {
+    // keep the last good list, either from previous refresh or persisted one
+    console.log(`No valid trackers retrieved, keeping ${BEST_TRACKERS.length} ${TRACKERS_ORIGIN} trackers`);
+    return;
+  }
+  setBestTrackers(trackers, Date.now(), 'sources');
+  console.log('Retrieved best trackers: ', BEST_TRACKERS);
+  return fs.promises.writeFile(TRACKERS_FILE, JSON.stringify({ updatedAt: TRACKERS_UPDATED_AT, trackers }))
+      .catch(error => console.log(`Failed persisting trackers to ${TRACKERS_FILE}: ${error.message}`));
+}
+
+async function loadPersistedTrackers() {
+  return fs.promises.readFile(TRACKERS_FILE, 'utf8')
+      .then(content => JSON.parse(content))
+      .then(persisted => {
+        const trackers = validTrackers(persisted.trackers || []);
+        if (trackers.length) {
+          setBestTrackers(trackers, persisted.updatedAt, 'file');
+        }
+      })
+      .catch(() => undefined);
+}
+
+function setBestTrackers(trackers, updatedAt, origin) {
+  BEST_TRACKERS = trackers;
   ALL_ANIME_TRACKERS = unique(BEST_TRACKERS.concat(DEFAULT_TRACKERS).concat(ANIME_TRACKERS));
   ALL_RUSSIAN_TRACKERS = unique(BEST_TRACKERS.concat(DEFAULT_TRACKERS).concat(RUSSIAN_TRACKERS));
-  console.log('Retrieved best trackers: ', BEST_TRACKERS);
+  TRACKERS_UPDATED_AT = updatedAt;
+  TRACKERS_ORIGIN = origin;
 }
 
-async function getBestTrackers(retry = 2) {
+async function getTrackersList(source, retry = 2) {
+  if (!/^https?:\/\//i.test(source)) {
+    return fs.promises.readFile(source.replace(/^file:\/\//i, ''), 'utf8')
+        .then(content => validTrackers(content.split(/\s+/)));
+  }
   const options = { timeout: 30000, headers: { 'User-Agent': getRandomUserAgent() } };
-  return axios.get(TRACKERS_URL, options)
-      .then(response => response?.data?.trim()?.split('\n\n') || [])
+  return axios.get(source, options)
+      .then(response => validTrackers(`${response?.data || ''}`.split(/\s+/)))
       .catch(error => {
         if (retry === 0) {
-          console.log(`Failed retrieving best trackers: ${error.message}`);
           throw error;
         }
-        return getBestTrackers(retry - 1);
+        return getTrackersList(source, retry - 1);
       });
 }
 
+function validTrackers(trackers) {
+  return unique(trackers
+      .map(tracker => normalizeTracker(tracker))
+      .filter(tracker => tracker));
+}
+
+function normalizeTracker(tracker) {
+  try {
+    const url = new URL(tracker.trim());
+    if (!TRACKER_PROTOCOLS.includes(url.protocol) || !url.hostname || /[\s,]/.test(tracker.trim())) {
+      return undefined;
+    }
+    return url.toString();
+  } catch (error) {
+    return undefined;
+  }
+}
+
 export function getSources(trackersInput, infoHash) {
   if (!trackersInput) {
     return null;
@@ -100,7 +181,7 @@ export function getSources(trackersInput, infoHash) {
 }
 
 export function enrichStreamSources(stream) {
-  const provider = extractProvider(stream.title);
+  const provider = stream.metadata?.provider;
   if (ANIME_PROVIDERS.includes(provider)) {
     const sources = getSources(ALL_ANIME_TRACKERS, stream.infoHash);
     return { ...stream, sources };
@@ -1,7 +1,7 @@
 import { MochOptions } from '../moch/moch.js';
 import { Providers } from './filter.js';
 import { showDebridCatalog } from '../moch/options.js';
-import { getManifestOverride } from './configuration.js';
+import { getConfigurationErrors, getManifestOverride } from './configuration.js';
 import { Type } from './types.js';
 
 const DefaultProviders = Providers.options.map(provider => provider.key);
@@ -30,7 +30,7 @@ export function manifest(config = {}) {
 export function dummyManifest() {
   const manifestDefault = manifest();
   manifestDefault.catalogs = [{ id: 'dummy', type: Type.OTHER }];
-  manifestDefault.resources = ['stream', 'meta'];
+  manifestDefault.resources = ['stream', 'subtitles', 'meta'];
   return manifestDefault;
 }
 
@@ -54,9 +54,12 @@ function getDescription(config) {
       .join(' & ');
   const possibleMochs = Object.values(MochOptions).map(moch => moch.name).join('/')
   const mochsDesc = enabledMochs ? ` and ${enabledMochs} enabled` : '';
+  const errors = getConfigurationErrors(config);
+  const errorsDesc = errors.length ? ` Configuration errors: ${errors.join('; ')}.` : '';
   return 'Provides torrent streams from scraped torrent providers.'
       + ` Currently supports ${enabledProvidersDesc}${mochsDesc}.`
       + ` To configure providers, ${possibleMochs} support and other settings visit https://torrentio.strem.fun`
+      + errorsDesc
 }
 
 function getCatalogs(config) {
@@ -76,13 +79,18 @@ function getResources(config) {
     types: [Type.MOVIE, Type.SERIES],
     idPrefixes: ['tt', 'kitsu']
   };
+  const subtitlesResource = {
+    name: 'subtitles',
+    types: [Type.MOVIE, Type.SERIES],
+    idPrefixes: ['tt', 'kitsu']
+  };
   const metaResource = {
     name: 'meta',
     types: [Type.OTHER],
     idPrefixes: CatalogMochs.filter(moch => config[moch.key]).map(moch => moch.key)
   };
   if (showDebridCatalog(config) && CatalogMochs.filter(moch => config[moch.key]).length) {
-    return [streamResource, metaResource];
+    return [streamResource, subtitlesResource, metaResource];
   }
-  return [streamResource];
+  return [streamResource, subtitlesResource];
 }
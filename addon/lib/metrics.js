@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import promClient from 'prom-client';
+
+const METRICS_PREFIX = 'torrentio_';
+
+const register = new promClient.Registry();
+promClient.collectDefaultMetrics({ register, prefix: METRICS_PREFIX });
+
+export const resolveStreamsDuration = new promClient.Histogram({
+  name: `${METRICS_PREFIX}resolve_streams_duration_seconds`,
+  help: 'Duration of resolving streams for a title, including cache lookup',
+  labelNames: ['type'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+export const cacheRequests = new promClient.Counter({
+  name: `${METRICS_PREFIX}cache_requests_total`,
+  help: 'Number of cache wrap requests by cache and result (hit/miss)',
+  labelNames: ['cache', 'result'],
+  registers: [register]
+});
+
+export const mochResolveOutcomes = new promClient.Counter({
+  name: `${METRICS_PREFIX}moch_resolve_total`,
+  help: 'Number of debrid resolve requests by moch and outcome',
+  labelNames: ['moch', 'outcome'],
+  registers: [register]
+});
+
+const queuePending = new promClient.Gauge({
+  name: `${METRICS_PREFIX}queue_pending`,
+  help: 'Number of tasks waiting in the queue',
+  labelNames: ['queue'],
+  registers: [register]
+});
+
+const queueActive = new promClient.Gauge({
+  name: `${METRICS_PREFIX}queue_active`,
+  help: 'Number of tasks currently running in the queue',
+  labelNames: ['queue'],
+  registers: [register]
+});
+
+/**
+ * Registers a queue which depth is sampled on each metrics scrape.
+ * Queue has to expose `pendingCount` and `activeCount` like p-limit does.
+ */
+export function registerQueueMetrics(name, queue) {
+  register.registerCollector(() => {
+    queuePending.set({ queue: name }, queue.pendingCount);
+    queueActive.set({ queue: name }, queue.activeCount);
+  });
+}
+
+export function isMetricsUser(username, password) {
+  return !!process.env.METRICS_USER
+      && isEqualSecret(username, process.env.METRICS_USER)
+      && isEqualSecret(password, process.env.METRICS_PASSWORD);
+}
+
+// hashes have the same length, so they can be compared in constant time
+export function isEqualSecret(value, expected) {
+  const toHash = secret => crypto.createHash('sha256').update(secret).digest();
+  return typeof value === 'string' && typeof expected === 'string'
+      && crypto.timingSafeEqual(toHash(value), toHash(expected));
+}
+
+export function metricsContentType() {
+  return register.contentType;
+}
+
+export function getMetrics() {
+  return register.metrics();
+}
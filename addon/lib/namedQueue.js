@@ -1,11 +1,59 @@
+import crypto from 'crypto';
 import namedQueue from "named-queue";
+import { acquireLock, isDistributedLockEnabled, isLocked, releaseLock } from './cache.js';
+import { delay } from './promises.js';
 
-export function createNamedQueue(concurrency) {
-  const queue = new namedQueue((task, callback) => task.method()
-      .then(result => callback(false, result))
-      .catch((error => callback(error))), 200);
-  queue.wrap = (id, method) => new Promise(((resolve, reject) => {
-    queue.push({ id, method }, (error, result) => result ? resolve(result) : reject(error));
+const LOCK_TTL = parseInt(process.env.DISTRIBUTED_LOCK_TTL) || 60; // 60 seconds
+const LOCK_POLL_INTERVAL = 250; // 250 ms
+const LOCKED = Symbol('locked');
+
+export function createNamedQueue(concurrency, lockName, lockTtl = LOCK_TTL) {
+  const queue = new namedQueue((task, callback) => {
+    queue.activeCount++;
+    runTask(task, lockName, lockTtl)
+        .then(result => callback(false, result))
+        .catch((error => callback(error)))
+        .finally(() => queue.activeCount--);
+  }, 200);
+  queue.activeCount = 0;
+  Object.defineProperty(queue, 'pendingCount', { get: () => queue.length() });
+  const push = task => new Promise(((resolve, reject) => {
+    queue.push(task, (error, result) => result ? resolve(result) : reject(error));
   }));
+  // cached method is only used with locks, so cache hits don't need the lock round trips
+  queue.wrap = (id, method, cachedMethod) => push({ id, method, cachedMethod })
+      .then(result => result === LOCKED
+          // same task is running on another instance, so it's awaited outside the queue to not hold its slot
+          ? waitForUnlock(toLockId(lockName, id), lockTtl).then(() => push({ id, method, skipLock: true }))
+          : result);
   return queue;
-}
\ No newline at end of file
+}
+
+async function runTask(task, lockName, lockTtl) {
+  if (!lockName || task.skipLock || !isDistributedLockEnabled()) {
+    return task.method();
+  }
+  const cachedResult = await task.cachedMethod?.();
+  if (cachedResult !== undefined && cachedResult !== null) {
+    return cachedResult;
+  }
+  const lockId = toLockId(lockName, task.id);
+  const token = await acquireLock(lockId, lockTtl);
+  if (!token) {
+    return LOCKED;
+  }
+  return task.method().finally(() => releaseLock(lockId, token));
+}
+
+function toLockId(lockName, id) {
+  // task ids can contain api keys, which shouldn't be stored in the shared cache
+  return `${lockName}:${crypto.createHash('sha256').update(id).digest('hex')}`;
+}
+
+async function waitForUnlock(lockId, lockTtl) {
+  // after the task finishes on the other instance its result is reused from the cache
+  const deadline = Date.now() + lockTtl * 1000;
+  while (Date.now() < deadline && await isLocked(lockId)) {
+    await delay(LOCK_POLL_INTERVAL);
+  }
+}
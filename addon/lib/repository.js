@@ -103,6 +103,25 @@ export function getImdbIdSeriesEntries(imdbId, season, episode) {
   });
 }
 
+// season is optional, packs only include files without a mapped episode, which can also miss the season
+export function getImdbIdSeasonEntries(imdbId, season, packsOnly = false) {
+  const seasonCondition = packsOnly
+      ? { [Op.or]: [{ imdbSeason: { [Op.eq]: season } }, { imdbSeason: { [Op.is]: null } }] }
+      : { imdbSeason: { [Op.eq]: season } };
+  return File.findAll({
+    where: {
+      imdbId: { [Op.eq]: imdbId },
+      ...(season !== undefined ? seasonCondition : {}),
+      ...(packsOnly ? { imdbEpisode: { [Op.is]: null } } : {})
+    },
+    include: [Torrent],
+    limit: 500,
+    order: [
+      [Torrent, 'seeders', 'DESC']
+    ]
+  });
+}
+
 export function getKitsuIdMovieEntries(kitsuId) {
   return File.findAll({
     where: {
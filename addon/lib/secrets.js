@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+
+const CONFIG_SECRET = process.env.CONFIG_SECRET;
+const ENCRYPTED_PREFIX = 'enc-';
+const REFERENCE_PREFIX = 'ref-';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+const SIGNATURE_LENGTH = 22;
+const RESOLVE_URL_TTL = parseInt(process.env.RESOLVE_URL_TTL) || 7 * 24 * 60 * 60; // 7 days
+
+const encryptionKey = CONFIG_SECRET && crypto.createHash('sha256').update(`encryption|${CONFIG_SECRET}`).digest();
+const signingKey = CONFIG_SECRET && crypto.createHash('sha256').update(`signing|${CONFIG_SECRET}`).digest();
+// first key signs new urls, the rest are only verified, so keys can be rotated without breaking valid links
+const resolveSigningKeys = (process.env.RESOLVE_SIGNING_KEYS || '').split(',')
+    .map(secret => secret.trim())
+    .filter(secret => secret.length)
+    .map(secret => ({ id: crypto.createHash('sha256').update(secret).digest('hex').slice(0, 8), secret }));
+
+export function isEncryptionEnabled() {
+  return !!CONFIG_SECRET;
+}
+
+export function isEncrypted(value) {
+  return !!value?.startsWith(ENCRYPTED_PREFIX);
+}
+
+export function encrypt(value) {
+  return ENCRYPTED_PREFIX + seal(value, crypto.randomBytes(IV_LENGTH));
+}
+
+// Returns undefined if the value was tampered or sealed with another secret
+export function decrypt(value) {
+  if (!isEncryptionEnabled() || !isEncrypted(value)) {
+    return undefined;
+  }
+  return unseal(value.slice(ENCRYPTED_PREFIX.length));
+}
+
+export function isReference(value) {
+  return !!value?.startsWith(REFERENCE_PREFIX);
+}
+
+// Reference carries the encrypted value, so it can be resolved on any instance without storing it.
+// Its iv is derived from the value, so the same value always has the same reference,
+// and it's bound to the namespace, so it can't be resolved for another one.
+export function toReference(namespace, value) {
+  const iv = crypto.createHmac('sha256', signingKey)
+      .update(`${namespace}|${value}`)
+      .digest()
+      .subarray(0, IV_LENGTH);
+  return REFERENCE_PREFIX + seal(value, iv, namespace);
+}
+
+export function fromReference(namespace, reference) {
+  if (!isEncryptionEnabled() || !isReference(reference)) {
+    return undefined;
+  }
+  return unseal(reference.slice(REFERENCE_PREFIX.length), namespace);
+}
+
+export function isUrlSigningEnabled() {
+  return resolveSigningKeys.length > 0;
+}
+
+// Returns query parameters with the expiry and signature of the given decoded url path parts
+export function signUrl(pathParts) {
+  const key = resolveSigningKeys[0];
+  const expires = Math.floor(Date.now() / 1000) + RESOLVE_URL_TTL;
+  return { exp: expires, kid: key.id, sig: urlSignature(key.secret, pathParts, expires) };
+}
+
+export function verifyUrl(pathParts, query) {
+  const key = resolveSigningKeys.find(key => key.id === query?.kid);
+  const expires = parseInt(query?.exp);
+  if (!key || !expires || expires < Date.now() / 1000 || typeof query.sig !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(urlSignature(key.secret, pathParts, expires));
+  const actual = Buffer.from(query.sig);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function urlSignature(secret, pathParts, expires) {
+  return crypto.createHmac('sha256', secret)
+      .update(`${pathParts.join('/')}|${expires}`)
+      .digest('base64url')
+      .slice(0, SIGNATURE_LENGTH);
+}
+
+function seal(value, iv, associatedData = '') {
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  cipher.setAAD(Buffer.from(associatedData));
+  const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+function unseal(sealed, associatedData = '') {
+  try {
+    const data = Buffer.from(sealed, 'base64url');
+    const iv = data.subarray(0, IV_LENGTH);
+    const authTag = data.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+    decipher.setAAD(Buffer.from(associatedData));
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + AUTH_TAG_LENGTH)), decipher.final()])
+        .toString('utf8');
+  } catch (error) {
+    return undefined;
+  }
+}
@@ -1,8 +1,7 @@
-import { QualityFilter } from './filter.js';
+import { QualityFilter, PreferredCodec, PreferredAudio, PreferredGroups, Providers } from './filter.js';
 import { containsLanguage, LanguageOptions } from './languages.js';
 import { Type } from './types.js';
-import { hasMochConfigured } from '../moch/moch.js';
-import { extractSeeders, extractSize } from './titleHelper.js';
+import { hasMochConfigured } from '../moch/mochOptions.js';
 
 const OTHER_QUALITIES = QualityFilter.options.find(option => option.key === 'other');
 const CAM_QUALITIES = QualityFilter.options.find(option => option.key === 'cam');
@@ -10,6 +9,16 @@ const HEALTHY_SEEDERS = 5;
 const SEEDED_SEEDERS = 1;
 const MIN_HEALTHY_COUNT = 50;
 const MAX_UNHEALTHY_COUNT = 5;
+const CODEC_RANKING = ['AV1', 'HEVC', 'x264'];
+const SOURCE_RANKING = [
+  /\bremux\b/i,
+  /\bblu-?ray\b|\bbd-?rip\b|\bbr-?rip\b|\buhd\b/i,
+  /\bweb-?dl\b/i,
+  /\bweb-?rip\b|\bweb\b/i,
+  /\bhdtv\b|\bhd-?rip\b/i,
+  /\bdvd(?:rip|r|5|9)?\b|\btv-?rip\b/i
+];
+const SCORE_MAX_SEEDERS = 1000;
 
 export const SortOptions = {
   key: 'sort',
@@ -22,6 +31,10 @@ export const SortOptions = {
       key: 'qualitysize',
       description: 'By quality then size'
     },
+    qualityNewest: {
+      key: 'qualitynewest',
+      description: 'By quality then newest'
+    },
     seeders: {
       key: 'seeders',
       description: 'By seeders'
@@ -30,11 +43,156 @@ export const SortOptions = {
       key: 'size',
       description: 'By size'
     },
+    newest: {
+      key: 'newest',
+      description: 'By newest upload'
+    },
+    custom: {
+      key: 'custom',
+      description: 'Custom sort order'
+    },
+    score: {
+      key: 'score',
+      description: 'By weighted score'
+    },
+  }
+}
+
+export const SortExpression = {
+  key: 'sortexpression',
+  delimiter: '>',
+  options: {
+    resolution: {
+      key: 'resolution',
+      description: 'Resolution',
+      comparator: () => descending(stream => resolutionScore(stream))
+    },
+    hdr: {
+      key: 'hdr',
+      description: 'HDR/Dolby Vision',
+      comparator: () => descending(stream => stream.metadata.hdr.length ? 1 : 0)
+    },
+    codec: {
+      key: 'codec',
+      description: 'Video codec (preferred codec first)',
+      comparator: (config) => descending(stream => codecScore(stream, config))
+    },
+    language: {
+      key: 'language',
+      description: 'Priority foreign language',
+      comparator: (config) => descending(stream => config[LanguageOptions.key]?.length
+          && containsLanguage(stream, config[LanguageOptions.key]) ? 1 : 0)
+    },
+    cached: {
+      key: 'cached',
+      description: 'Debrid cached',
+      comparator: () => descending(stream => isCachedStream(stream) ? 1 : 0)
+    },
+    seeders: {
+      key: 'seeders',
+      description: 'Seeders',
+      comparator: () => descending(stream => stream.metadata.seeders)
+    },
+    size: {
+      key: 'size',
+      description: 'Size',
+      comparator: () => descending(stream => stream.metadata.size)
+    },
+    date: {
+      key: 'date',
+      description: 'Upload date',
+      comparator: () => descending(stream => stream.metadata.uploadDate || 0)
+    },
+    provider: {
+      key: 'provider',
+      description: 'Provider (in the providers list order)',
+      comparator: (config) => descending(stream => -providerIndex(stream, config))
+    }
+  }
+}
+
+export const ScoreWeights = {
+  key: 'scoreweights',
+  delimiter: ':',
+  maxWeight: 100,
+  options: {
+    resolution: {
+      key: 'resolution',
+      description: 'Resolution',
+      weight: 40,
+      score: (stream) => Math.min(Math.max(resolutionScore(stream), 0), 2160) / 2160
+    },
+    hdr: {
+      key: 'hdr',
+      description: 'HDR/Dolby Vision',
+      weight: 10,
+      score: (stream) => stream.metadata.hdr.length ? 1 : 0
+    },
+    source: {
+      key: 'source',
+      description: 'Source (remux, bluray, web...)',
+      weight: 25,
+      score: (stream) => sourceScore(stream)
+    },
+    codec: {
+      key: 'codec',
+      description: 'Video codec',
+      weight: 5,
+      score: (stream, config) => codecScore(stream, config) / (CODEC_RANKING.length + 1)
+    },
+    seeders: {
+      key: 'seeders',
+      description: 'Seeders',
+      weight: 15,
+      score: (stream) => Math.min(Math.log10(stream.metadata.seeders + 1) / Math.log10(SCORE_MAX_SEEDERS + 1), 1)
+    },
+    size: {
+      key: 'size',
+      description: 'Size (relative to the largest result)',
+      weight: 10,
+      score: (stream, config, context) => context.maxSize ? stream.metadata.size / context.maxSize : 0
+    },
+    language: {
+      key: 'language',
+      description: 'Priority foreign language',
+      weight: 20,
+      score: (stream, config) => config[LanguageOptions.key]?.length
+          && containsLanguage(stream, config[LanguageOptions.key]) ? 1 : 0
+    },
+    group: {
+      key: 'group',
+      description: 'Preferred release group',
+      weight: 10,
+      score: (stream, config) => config[PreferredGroups.key]?.includes(stream.metadata.group?.toLowerCase()) ? 1 : 0
+    }
+  }
+}
+
+export const ScoreDebug = {
+  key: 'scoredebug',
+  description: 'Show score breakdown in stream description'
+}
+
+export const HealthOptions = {
+  key: 'health',
+  options: {
+    auto: {
+      key: 'auto',
+      description: 'Hide unhealthy torrents when there are enough healthy ones'
+    },
+    all: {
+      key: 'all',
+      description: 'Show all torrents regardless of seeders'
+    }
   }
 }
 
 export default function sortStreams(streams, config, type) {
   const languages = config[LanguageOptions.key];
+  if (parseSortExpression(config).length || isScoreSort(config)) {
+    // language priority is defined by the sort expression or the score weights
+    return _sortStreams(streams, config, type);
+  }
   if (languages?.length && languages[0] !== 'english') {
     // No need to filter english since it's hard to predict which entries are english
     const streamsWithLanguage = streams.filter(stream => containsLanguage(stream, languages));
@@ -48,24 +206,158 @@ function _sortStreams(streams, config, type) {
   const sort = config?.sort?.toLowerCase() || undefined;
   const limit = /^[1-9][0-9]*$/.test(config.limit) && parseInt(config.limit) || undefined;
   const sortedStreams = sortBySeeders(streams, config, type);
-  if (sort === SortOptions.options.seeders.key) {
+  const sortExpression = parseSortExpression(config);
+  if (sortExpression.length) {
+    return sortedStreams.sort(toComparator(sortExpression, config)).slice(0, limit);
+  } else if (sort === SortOptions.options.score.key) {
+    return sortByScore(sortedStreams, config, limit);
+  } else if (sort === SortOptions.options.seeders.key) {
     return sortedStreams.slice(0, limit);
   } else if (sort === SortOptions.options.size.key) {
     return sortBySize(sortedStreams, limit);
+  } else if (sort === SortOptions.options.newest.key) {
+    return sortByNewest(sortedStreams, limit);
   }
-  const nestedSort = sort === SortOptions.options.qualitySize.key ? sortBySize : noopSort;
+  const nestedComparator = getNestedComparator(sort);
+  const nestedSort = streams => sortByPreferences(streams, nestedComparator, config);
   return sortByVideoQuality(sortedStreams, nestedSort, limit)
 }
 
-function noopSort(streams) {
-  return streams;
+// Debrid cached status is only known after the debrid streams are applied,
+// so streams are re-sorted by the sort expression keys up to the cached key.
+export function applyCachedSorting(streams, config) {
+  const sortExpression = parseSortExpression(config);
+  const cachedIndex = sortExpression.indexOf(SortExpression.options.cached.key);
+  if (cachedIndex < 0) {
+    return streams;
+  }
+  // info streams, like debrid errors, don't have metadata and are kept on top
+  const infoStreams = streams.filter(stream => !stream.metadata);
+  const torrentStreams = streams.filter(stream => stream.metadata);
+  return infoStreams.concat(torrentStreams.sort(toComparator(sortExpression.slice(0, cachedIndex + 1), config)));
+}
+
+export function parseSortExpression(config) {
+  if (config?.[SortOptions.key]?.toLowerCase() !== SortOptions.options.custom.key) {
+    return [];
+  }
+  return (config[SortExpression.key] || '')
+      .toLowerCase()
+      .split(SortExpression.delimiter)
+      .map(key => key.trim())
+      .filter(key => Object.keys(SortExpression.options).includes(key))
+      .filter((key, index, keys) => keys.indexOf(key) === index);
+}
+
+export function parseScoreWeights(config) {
+  const weights = (config?.[ScoreWeights.key] || [])
+      .map(entry => entry.split(ScoreWeights.delimiter))
+      .filter(([key, weight]) => Object.keys(ScoreWeights.options).includes(key) && /^\d+(\.\d+)?$/.test(weight))
+      .reduce((map, [key, weight]) => ({ ...map, [key]: Math.min(parseFloat(weight), ScoreWeights.maxWeight) }), {});
+  return Object.values(ScoreWeights.options)
+      .reduce((map, option) => ({ ...map, [option.key]: weights[option.key] ?? option.weight }), {});
+}
+
+function isScoreSort(config) {
+  return config?.[SortOptions.key]?.toLowerCase() === SortOptions.options.score.key;
+}
+
+function sortByScore(streams, config, limit) {
+  const weights = parseScoreWeights(config);
+  const context = { maxSize: Math.max(0, ...streams.map(stream => stream.metadata.size)) };
+  const scoredStreams = streams
+      .map(stream => ({ stream, breakdown: scoreBreakdown(stream, weights, config, context) }))
+      .map(scored => ({ ...scored, score: Object.values(scored.breakdown).reduce((a, b) => a + b, 0) }))
+      // sort is stable, so streams with the same score keep their seeders order
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  if (config[ScoreDebug.key] !== 'true') {
+    return scoredStreams.map(scored => scored.stream);
+  }
+  // score details are displayed together with other request specific details
+  return scoredStreams.map(scored => ({
+    ...scored.stream,
+    metadata: { ...scored.stream.metadata, score: formatScore(scored) }
+  }));
+}
+
+function scoreBreakdown(stream, weights, config, context) {
+  return Object.values(ScoreWeights.options)
+      .filter(option => weights[option.key] > 0)
+      .reduce((map, option) => {
+        map[option.key] = weights[option.key] * option.score(stream, config, context);
+        return map;
+      }, {});
+}
+
+function formatScore(scored) {
+  const details = Object.entries(scored.breakdown)
+      .filter(([_, value]) => value > 0)
+      .map(([key, value]) => `${key} ${value.toFixed(1)}`)
+      .join(', ');
+  return `🧮 ${scored.score.toFixed(1)}${details ? ` (${details})` : ''}`;
+}
+
+function toComparator(sortExpression, config) {
+  const comparators = sortExpression.map(key => SortExpression.options[key].comparator(config));
+  return (a, b) => comparators.reduce((result, comparator) => result || comparator(a, b), 0);
+}
+
+function descending(valueExtractor) {
+  return (a, b) => valueExtractor(b) - valueExtractor(a);
+}
+
+function resolutionScore(stream) {
+  const resolution = stream.metadata.resolution;
+  const resolutionMatch = resolution?.match(/(\d+)p/);
+  if (resolutionMatch) {
+    return parseInt(resolutionMatch[1], 10);
+  } else if (/8k/i.test(resolution)) {
+    return 4320;
+  } else if (/4k|uhd/i.test(resolution)) {
+    return 2160;
+  } else if (CAM_QUALITIES.test(stream.metadata)) {
+    return -1;
+  }
+  return 0;
+}
+
+function codecScore(stream, config) {
+  const codec = stream.metadata.codec;
+  const preferredCodec = PreferredCodec.options.find(option => option.key === config[PreferredCodec.key]?.toLowerCase());
+  if (preferredCodec?.test(codec)) {
+    return CODEC_RANKING.length + 1;
+  }
+  return CODEC_RANKING.length - (CODEC_RANKING.includes(codec) ? CODEC_RANKING.indexOf(codec) : CODEC_RANKING.length);
+}
+
+function providerIndex(stream, config) {
+  const providers = config[Providers.key] || Providers.options.map(provider => provider.key);
+  const index = providers.indexOf(stream.metadata.provider);
+  return index < 0 ? providers.length : index;
+}
+
+function sourceScore(stream) {
+  const titles = `${stream.metadata.title}\n${stream.metadata.fileTitle}`;
+  if (CAM_QUALITIES.test(stream.metadata)) {
+    return 0;
+  }
+  const index = SOURCE_RANKING.findIndex(pattern => pattern.test(titles));
+  return index < 0 ? 0 : (SOURCE_RANKING.length - index) / SOURCE_RANKING.length;
+}
+
+function isCachedStream(stream) {
+  return !!stream.metadata.cached;
 }
 
 function sortBySeeders(streams, config, type) {
   // streams are already presorted by seeders and upload date
-  const healthy = streams.filter(stream => extractSeeders(stream.title) >= HEALTHY_SEEDERS);
-  const seeded = streams.filter(stream => extractSeeders(stream.title) >= SEEDED_SEEDERS);
+  const healthy = streams.filter(stream => stream.metadata.seeders >= HEALTHY_SEEDERS);
+  const seeded = streams.filter(stream => stream.metadata.seeders >= SEEDED_SEEDERS);
 
+  if (config[HealthOptions.key] === HealthOptions.options.all.key) {
+    return streams;
+  }
   if (type === Type.SERIES && hasMochConfigured(config)) {
     return streams;
   } else if (healthy.length >= MIN_HEALTHY_COUNT) {
@@ -76,19 +368,58 @@ function sortBySeeders(streams, config, type) {
   return streams.slice(0, MAX_UNHEALTHY_COUNT);
 }
 
+function getNestedComparator(sort) {
+  if (sort === SortOptions.options.qualitySize.key) {
+    return sizeComparator;
+  } else if (sort === SortOptions.options.qualityNewest.key) {
+    return newestComparator;
+  }
+  return seedersComparator;
+}
+
+function sortByNewest(streams, limit) {
+  return streams
+      .sort(newestComparator)
+      .slice(0, limit);
+}
+
 function sortBySize(streams, limit) {
   return streams
-      .sort((a, b) => {
-        const aSize = extractSize(a.title);
-        const bSize = extractSize(b.title);
-        return bSize - aSize;
-      }).slice(0, limit);
+      .sort(sizeComparator)
+      .slice(0, limit);
+}
+
+function seedersComparator(a, b) {
+  return b.metadata.seeders - a.metadata.seeders;
+}
+
+function newestComparator(a, b) {
+  // streams without known upload date are moved to the end
+  return (b.metadata.uploadDate || 0) - (a.metadata.uploadDate || 0);
+}
+
+function sizeComparator(a, b) {
+  return b.metadata.size - a.metadata.size;
+}
+
+function sortByPreferences(streams, comparator, config) {
+  const preferredCodec = PreferredCodec.options.find(option => option.key === config[PreferredCodec.key]?.toLowerCase());
+  const preferredAudio = PreferredAudio.options.find(option => option.key === config[PreferredAudio.key]?.toLowerCase());
+  const preferredGroups = config[PreferredGroups.key] || [];
+  const groupScore = stream => preferredGroups.includes(stream.metadata.group?.toLowerCase()) ? 1 : 0;
+  const codecScore = stream => preferredCodec?.test(stream.metadata.codec) ? 1 : 0;
+  const audioScore = stream => preferredAudio?.test(stream.metadata.audio) ? 1 : 0;
+  // preferred groups are boosted within the quality, while codec and audio preferences only break ties
+  return streams.sort((a, b) => groupScore(b) - groupScore(a)
+      || comparator(a, b)
+      || codecScore(b) - codecScore(a)
+      || audioScore(b) - audioScore(a));
 }
 
 function sortByVideoQuality(streams, nestedSort, limit) {
   const qualityMap = streams
       .reduce((map, stream) => {
-        const quality = extractQuality(stream.name);
+        const quality = extractQuality(stream.metadata);
         map[quality] = (map[quality] || []).concat(stream);
         return map;
       }, {});
@@ -110,21 +441,21 @@ function sortByVideoQuality(streams, nestedSort, limit) {
       .reduce((a, b) => a.concat(b), []);
 }
 
-function extractQuality(title) {
-  const qualityDesc = title.split('\n')[1];
-  const resolutionMatch = qualityDesc?.match(/\d+p/);
-  const isHDR = qualityDesc?.match(/HDR|DV/);
+function extractQuality(metadata) {
+  const resolution = metadata.resolution;
+  const resolutionMatch = resolution?.match(/\d+p/);
+  const isHDR = metadata.hdr.length;
   const withHDRScore = resolution => isHDR ? resolution.replace('0p', '1p') : resolution;
   if (resolutionMatch) {
     return withHDRScore(resolutionMatch[0]);
-  } else if (/8k/i.test(qualityDesc)) {
+  } else if (/8k/i.test(resolution)) {
     return withHDRScore('4320p');
-  } else if (/4k|uhd/i.test(qualityDesc)) {
+  } else if (/4k|uhd/i.test(resolution)) {
     return withHDRScore('2060p');
-  } else if (CAM_QUALITIES.test(qualityDesc)) {
+  } else if (CAM_QUALITIES.test(metadata)) {
     return CAM_QUALITIES.label;
-  } else if (OTHER_QUALITIES.test(qualityDesc)) {
+  } else if (OTHER_QUALITIES.test(metadata)) {
     return OTHER_QUALITIES.label;
   }
-  return qualityDesc;
+  return resolution;
 }
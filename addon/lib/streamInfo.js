@@ -2,14 +2,31 @@ import titleParser from 'parse-torrent-title';
 import { Type } from './types.js';
 import { mapLanguages } from './languages.js';
 import { enrichStreamSources, getSources } from './magnetHelper.js';
-import { getSubtitles } from './subtitles.js';
+import { getSubtitles, toSubtitleResponse } from './subtitles.js';
+import { AudioFilter, CodecFilter, Providers } from './filter.js';
+import { isVideo, isWebReadyVideo } from './extension.js';
+import { DisplayOptions, TemplateOptions, NameTemplate, TitleTemplate } from './displayOptions.js';
 
 const ADDON_NAME = 'Torrentio';
 const SIZE_DELTA = 0.02;
 const UNKNOWN_SIZE = 300000000;
 const CAM_SOURCES = ['CAM', 'TeleSync', 'TeleCine', 'SCR'];
+const AV1_REGEX = /\bav1\b/i;
+const AUDIO_CHANNELS_REGEX = /(?<!\d)([2-9])[. ]([01])(?![. ]?\d)/;
+// browsers can't play these, so Stremio has to transcode them
+const NOT_WEB_READY_CODECS = ['HEVC'];
+const NOT_WEB_READY_AUDIO = ['Atmos', 'TrueHD', 'DTS-HD', 'DTS', 'DD+', 'DD'];
+const AGE_UNITS = [
+  { suffix: 'y', duration: 365 * 24 * 60 * 60 * 1000 },
+  { suffix: 'mo', duration: 30 * 24 * 60 * 60 * 1000 },
+  { suffix: 'd', duration: 24 * 60 * 60 * 1000 },
+  { suffix: 'h', duration: 60 * 60 * 1000 },
+  { suffix: 'm', duration: 60 * 1000 }
+];
 
-export function toStreamInfo(record) {
+const TEMPLATE_PLACEHOLDER_REGEX = /{(\w+)}/g;
+
+export function toStreamInfo(record, seasonPack = false) {
   const torrentInfo = titleParser.parse(record.torrent.title);
   const fileInfo = titleParser.parse(record.title);
   const sameInfo = !Number.isInteger(record.fileIndex)
@@ -18,6 +35,12 @@ export function toStreamInfo(record) {
   const quality = getQuality(record, torrentInfo, fileInfo);
   const three3Quality = fileInfo.threeD || torrentInfo.threeD;
   const hdrProfiles = torrentInfo.hdr || fileInfo.hdr || [];
+  const codec = getCodec(record, torrentInfo, fileInfo);
+  const audio = getAudio(record);
+  const group = (fileInfo.group || torrentInfo.group)?.replace(/\s+/g, '.');
+  const languages = getLanguages(record, torrentInfo, fileInfo);
+  // series files which are not the whole torrent are considered to be from a pack
+  const pack = seasonPack || record.torrent.type !== Type.MOVIE && !sameInfo;
   const title = joinDetailParts(
       [
         joinDetailParts([record.torrent.title.replace(/[, ]+/g, ' ')]),
@@ -25,34 +48,61 @@ export function toStreamInfo(record) {
         joinDetailParts([
           joinDetailParts([record.torrent.seeders], '👤 '),
           joinDetailParts([formatSize(record.size)], '💾 '),
+          joinDetailParts([group], '🏷️ '),
           joinDetailParts([record.torrent.provider], '⚙️ ')
         ]),
-        joinDetailParts(getLanguages(record, torrentInfo, fileInfo), '', ' / '),
+        joinDetailParts(audio, '🔊 ', ' | '),
+        joinDetailParts(mapLanguages(languages), '', ' / '),
+        joinDetailParts([seasonPack ? 'Season pack' : undefined], '📦 ')
       ],
       '',
       '\n'
   );
+  const qualityDetails = joinDetailParts([quality, three3Quality, joinDetailParts(hdrProfiles, '', ' | ')]);
   const name = joinDetailParts(
       [
         joinDetailParts([ADDON_NAME]),
-        joinDetailParts([quality, three3Quality, joinDetailParts(hdrProfiles, '', ' | ')])
+        qualityDetails,
+        joinDetailParts([codec])
       ],
       '',
       '\n'
   );
-  const bingeGroupParts = getBingeGroupParts(record, sameInfo, quality, torrentInfo, fileInfo);
+  const bingeGroupParts = getBingeGroupParts(record, seasonPack, sameInfo, quality, torrentInfo, fileInfo);
   const bingeGroup = joinDetailParts(bingeGroupParts, "torrentio|", "|")
-  const filename = Number.isInteger(record.fileIndex) ? record.title.split('/').pop() : undefined;
-  const behaviorHints = bingeGroup || filename ? cleanOutputObject({ bingeGroup, filename }) : undefined;
+  const filename = Number.isInteger(record.fileIndex) || isVideo(record.title) ? record.title.split('/').pop() : undefined;
+  const videoSize = formatSize(record.size) ? record.size : undefined;
+  const notWebReady = isNotWebReady(filename, codec, audio) || undefined;
+  const behaviorHints = cleanOutputObject({ bingeGroup, filename, videoSize, notWebReady });
+  // internal details used by filters, sorting and debrid, so the displayed text doesn't have to be parsed
+  const metadata = {
+    title: record.torrent.title,
+    fileTitle: record.title,
+    seeders: record.torrent.seeders || 0,
+    size: formatSize(record.size) ? record.size : 0,
+    provider: record.torrent.provider?.toLowerCase(),
+    resolution: quality,
+    source: torrentInfo.source || fileInfo.source,
+    hdr: hdrProfiles,
+    threeD: !!three3Quality,
+    codec: codec,
+    audio: audio,
+    group: group,
+    languages: languages,
+    sameInfo: sameInfo,
+    pack: pack,
+    uploadDate: record.torrent.uploadDate && new Date(record.torrent.uploadDate).getTime()
+  };
 
   return cleanOutputObject({
     name: name,
     title: title,
     infoHash: record.infoHash,
     fileIdx: record.fileIndex,
-    behaviorHints: behaviorHints,
+    behaviorHints: Object.keys(behaviorHints).length ? behaviorHints : undefined,
     sources: getSources(record.torrent.trackers, record.infoHash),
-    subtitles: getSubtitles(record)
+    subtitles: getSubtitles(record),
+    metadata: metadata
   });
 }
 
@@ -68,6 +118,35 @@ function getQuality(record, torrentInfo, fileInfo) {
   return resolution || source;
 }
 
+function getCodec(record, torrentInfo, fileInfo) {
+  const codec = fileInfo.codec || torrentInfo.codec
+      || [record.title, record.torrent.title].map(title => title.match(AV1_REGEX)?.[0]).find(match => match);
+  if (!codec) {
+    return undefined;
+  }
+  const codecOption = CodecFilter.options.find(option => option.pattern?.test(codec));
+  return codecOption?.name || codec.toUpperCase();
+}
+
+function getAudio(record) {
+  const titles = [record.title, record.torrent.title];
+  const formats = AudioFilter.options
+      .filter(option => titles.some(title => option.pattern.test(title)))
+      .map(option => option.name);
+  const channels = titles
+      .map(title => title.match(AUDIO_CHANNELS_REGEX))
+      .filter(match => match)
+      .map(match => `${match[1]}.${match[2]}`)[0];
+  return formats.concat(channels || []);
+}
+
+function isNotWebReady(filename, codec, audio) {
+  // unknown container is not marked, since there is no way to tell if it's playable
+  return filename && !isWebReadyVideo(filename)
+      || NOT_WEB_READY_CODECS.includes(codec)
+      || audio.some(format => NOT_WEB_READY_AUDIO.includes(format));
+}
+
 function getLanguages(record, torrentInfo, fileInfo) {
   const providerLanguages = record.torrent.languages && titleParser.parse(record.torrent.languages + '.srt').languages || [];
   const torrentLanguages = torrentInfo.languages || [];
@@ -87,7 +166,7 @@ function getLanguages(record, torrentInfo, fileInfo) {
     // display dubbed only if there are no other languages defined for non anime
     languages = ['dubbed'];
   }
-  return mapLanguages(languages);
+  return languages;
 }
 
 function joinDetailParts(parts, prefix = '', delimiter = ' ') {
@@ -107,31 +186,140 @@ function formatSize(size) {
   return Number((size / Math.pow(1024, i)).toFixed(2)) + ' ' + ['B', 'kB', 'MB', 'GB', 'TB'][i];
 }
 
-export function applyStaticInfo(streams) {
-  return streams.map(stream => enrichStaticInfo(stream));
+export function applyStaticInfo(streams, config = {}) {
+  const magnetLinks = config[DisplayOptions.key]?.includes(DisplayOptions.options.magnetLinks.key) && config.host;
+  return streams
+      .map(stream => enrichStaticInfo(stream))
+      .map(stream => magnetLinks && stream.infoHash ? [stream, toMagnetLinkStream(stream, config)] : [stream])
+      .reduce((a, b) => a.concat(b), []);
+}
+
+function toMagnetLinkStream(stream, config) {
+  // opened outside of the player, so the torrent can be handed to the user's torrent client
+  const label = '🧲 Magnet';
+  return {
+    name: `[${label}] ${stream.name}`,
+    title: stream.title,
+    externalUrl: `${config.host}/magnet/${stream.infoHash}`,
+    metadata: { ...stream.metadata, debrid: label }
+  };
 }
 
 function enrichStaticInfo(stream) {
   return enrichSubtitles(enrichStreamSources({ ...stream }));
 }
 
+// Display details depending on the user configuration are applied on the final streams,
+// after the debrid streams are added, since the cached stream info is shared between users.
+export function applyDisplayInfo(streams, config = {}) {
+  const templates = getTemplates(config);
+  return streams
+      .map(stream => stream.metadata && templates ? enrichTemplates(stream, templates) : stream)
+      .map(stream => enrichScore(stream))
+      .map(stream => enrichUploadAge(stream, config));
+}
+
+export function getTemplates(config) {
+  const template = Object.values(TemplateOptions.options).find(option => option.key === config[TemplateOptions.key]);
+  if (template === TemplateOptions.options.custom) {
+    const name = config[NameTemplate.key] || TemplateOptions.options.verbose.name;
+    const title = config[TitleTemplate.key] || TemplateOptions.options.verbose.title;
+    return { name, title };
+  }
+  return template?.name ? { name: template.name, title: template.title } : undefined;
+}
+
+function enrichTemplates(stream, templates) {
+  const values = templateValues(stream.metadata);
+  return {
+    ...stream,
+    name: renderTemplate(templates.name, values) || ADDON_NAME,
+    title: renderTemplate(templates.title, values)
+  };
+}
+
+function templateValues(metadata) {
+  const provider = Providers.options.find(option => option.key === metadata.provider)?.label || metadata.provider;
+  return {
+    addon: ADDON_NAME,
+    title: metadata.title.replace(/[, ]+/g, ' '),
+    file: !metadata.sameInfo ? metadata.fileTitle : undefined,
+    resolution: metadata.resolution,
+    hdr: [].concat(metadata.threeD ? '3D' : []).concat(metadata.hdr).join(' | '),
+    source: metadata.source,
+    codec: metadata.codec,
+    audio: metadata.audio.join(' | '),
+    seeders: metadata.seeders,
+    size: formatSize(metadata.size),
+    provider: provider,
+    languages: mapLanguages(metadata.languages).join(' / '),
+    group: metadata.group,
+    cached: metadata.debrid,
+    age: metadata.uploadDate && formatAge(metadata.uploadDate)
+  };
+}
+
+function renderTemplate(template, values) {
+  // a space separated part is hidden when all its placeholders are empty, so no dangling labels are left
+  return template
+      .replace(/\\n/g, '\n')
+      .split('\n')
+      .map(line => line.split(' ')
+          .map(part => renderTemplatePart(part, values))
+          .filter(part => part.length)
+          .join(' '))
+      .filter(line => line.length)
+      .join('\n');
+}
+
+function renderTemplatePart(part, values) {
+  const placeholders = [...part.matchAll(TEMPLATE_PLACEHOLDER_REGEX)].map(match => match[1]);
+  const isKnown = key => TemplateOptions.placeholders.includes(key);
+  const isEmpty = key => values[key] === undefined || values[key] === null || `${values[key]}`.length === 0;
+  if (placeholders.length && placeholders.filter(isKnown).every(isEmpty) && placeholders.some(isKnown)) {
+    return '';
+  }
+  return part.replace(TEMPLATE_PLACEHOLDER_REGEX, (match, key) => isKnown(key) ? `${values[key] ?? ''}` : match);
+}
+
+function enrichScore(stream) {
+  if (!stream.metadata?.score) {
+    return stream;
+  }
+  return { ...stream, title: `${stream.title}\n${stream.metadata.score}` };
+}
+
+function enrichUploadAge(stream, config) {
+  // age is relative to the request time, so it can't be part of the cached stream info
+  if (!config[DisplayOptions.key]?.includes(DisplayOptions.options.uploadAge.key) || !stream.metadata?.uploadDate) {
+    return stream;
+  }
+  return { ...stream, title: `${stream.title}\n🕒 ${formatAge(stream.metadata.uploadDate)}` };
+}
+
+function formatAge(uploadDate) {
+  const age = Math.max(Date.now() - uploadDate, 0);
+  const unit = AGE_UNITS.find(unit => age >= unit.duration);
+  return unit ? `${Math.floor(age / unit.duration)}${unit.suffix} ago` : 'just now';
+}
+
+export function stripInternalInfo(streams) {
+  // metadata is only used internally, so no need to return it
+  return streams.map(({ metadata, ...stream }) => stream);
+}
+
 function enrichSubtitles(stream) {
   if (stream.subtitles?.length) {
-    stream.subtitles = stream.subtitles.map(subtitle =>{
-      if (subtitle.url) {
-        return subtitle;
-      }
-      return {
-        id: `${subtitle.fileIndex}`,
-        lang: subtitle.lang,
-        url: `http://localhost:11470/${subtitle.infoHash}/${subtitle.fileIndex}/${subtitle.title.split('/').pop()}`
-      };
-    });
+    stream.subtitles = stream.subtitles.map(subtitle => subtitle.url ? subtitle : toSubtitleResponse(subtitle));
   }
   return stream;
 }
 
-function getBingeGroupParts(record, sameInfo, quality, torrentInfo, fileInfo) {
+function getBingeGroupParts(record, seasonPack, sameInfo, quality, torrentInfo, fileInfo) {
+  if (seasonPack) {
+    // keep binge watching on the same season pack torrent
+    return [record.infoHash];
+  }
   if (record.torrent.type === Type.MOVIE) {
     const source = torrentInfo.source || fileInfo.source
     return [quality]
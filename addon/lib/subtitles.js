@@ -65,6 +65,24 @@ export function getSubtitles(record) {
       }));
 }
 
+export function findVideoSubtitles(streams, videoInfo) {
+  // player only knows the playing video filename and size, so the stream is matched by them
+  const videoSize = parseInt(videoInfo?.videoSize, 10);
+  const stream = streams
+      .filter(stream => stream.subtitles?.length)
+      .find(stream => videoInfo?.filename && stream.behaviorHints?.filename === videoInfo.filename
+          || videoSize && stream.behaviorHints?.videoSize === videoSize);
+  return stream?.subtitles || [];
+}
+
+export function toSubtitleResponse(subtitle, url) {
+  return {
+    id: `${subtitle.fileIndex}`,
+    lang: subtitle.lang,
+    url: url || `http://localhost:11470/${subtitle.infoHash}/${subtitle.fileIndex}/${subtitle.title.split('/').pop()}`
+  };
+}
+
 function parseLanguage(title, record) {
   const subtitlePathParts = title.split('/');
   const subtitleFileName = subtitlePathParts.pop();
@@ -0,0 +1,167 @@
+import * as repository from './repository.js';
+import applyFilters from './filter.js';
+import { toStreamInfo } from './streamInfo.js';
+import { getMagnetLink } from './magnetHelper.js';
+import { Type } from './types.js';
+
+const SERVER_TITLE = 'Torrentio';
+const MAX_LIMIT = 100;
+const Categories = {
+  MOVIES: { id: 2000, name: 'Movies' },
+  TV: { id: 5000, name: 'TV' },
+  ANIME: { id: 5070, name: 'TV/Anime' }
+};
+const Functions = {
+  CAPS: 'caps',
+  SEARCH: 'search',
+  TV_SEARCH: 'tvsearch',
+  MOVIE_SEARCH: 'movie'
+};
+const ErrorCodes = {
+  INCORRECT_PARAMETER: { code: 201, description: 'Incorrect parameter' },
+  MISSING_PARAMETER: { code: 200, description: 'Missing parameter' },
+  NO_FUNCTION: { code: 202, description: 'No such function' }
+};
+
+export async function torznab(query, config = {}) {
+  switch (query.t) {
+    case Functions.CAPS:
+      return capabilities();
+    case Functions.SEARCH:
+      return search(query, config);
+    case Functions.MOVIE_SEARCH:
+      return search(query, config, Type.MOVIE);
+    case Functions.TV_SEARCH:
+      return search(query, config, Type.SERIES);
+    case undefined:
+      return errorResponse(ErrorCodes.MISSING_PARAMETER);
+    default:
+      return errorResponse(ErrorCodes.NO_FUNCTION);
+  }
+}
+
+function capabilities() {
+  return xmlDocument(`
+<caps>
+  <server title="${SERVER_TITLE}"/>
+  <limits max="${MAX_LIMIT}" default="${MAX_LIMIT}"/>
+  <searching>
+    <search available="yes" supportedParams="imdbid"/>
+    <tv-search available="yes" supportedParams="imdbid,season,ep"/>
+    <movie-search available="yes" supportedParams="imdbid"/>
+  </searching>
+  <categories>
+    <category id="${Categories.MOVIES.id}" name="${Categories.MOVIES.name}"/>
+    <category id="${Categories.TV.id}" name="${Categories.TV.name}">
+      <subcat id="${Categories.ANIME.id}" name="${Categories.ANIME.name}"/>
+    </category>
+  </categories>
+</caps>`);
+}
+
+async function search(query, config, type) {
+  const imdbId = parseImdbId(query.imdbid);
+  const season = query.season !== undefined ? parseInt(query.season, 10) : undefined;
+  const episode = query.ep !== undefined ? parseInt(query.ep, 10) : undefined;
+  if (query.imdbid && !imdbId || isNaN(season) && season !== undefined || isNaN(episode) && episode !== undefined) {
+    return errorResponse(ErrorCodes.INCORRECT_PARAMETER);
+  }
+  const offset = parseInt(query.offset, 10) || 0;
+  const limit = Math.min(parseInt(query.limit, 10) || MAX_LIMIT, MAX_LIMIT);
+  // free text search is not supported, only id based search is possible on the torrent database
+  const records = imdbId ? await searchRecords(imdbId, season, episode, type) : [];
+  // generic search can match any title type, so it's resolved from the found torrents
+  const recordsType = type || (records.some(record => record.torrent.type !== Type.MOVIE) ? Type.SERIES : Type.MOVIE);
+  const items = filterRecords(records, config, recordsType)
+      .slice(offset, offset + limit);
+  const itemsXml = await Promise.all(items.map(record => toItem(record)));
+  return xmlDocument(`
+<rss version="2.0" xmlns:torznab="http://torznab.com/schemas/2015/feed">
+  <channel>
+    <title>${SERVER_TITLE}</title>
+    <description>${SERVER_TITLE} torrent database</description>
+    ${itemsXml.join('\n')}
+  </channel>
+</rss>`);
+}
+
+async function searchRecords(imdbId, season, episode, type) {
+  if (type === Type.MOVIE || !type && season === undefined) {
+    return repository.getImdbIdMovieEntries(imdbId);
+  } else if (season !== undefined && episode !== undefined) {
+    return repository.getImdbIdSeriesEntries(imdbId, season, episode);
+  }
+  return repository.getImdbIdSeasonEntries(imdbId, season);
+}
+
+function filterRecords(records, config, type) {
+  const recordsMap = records.reduce((map, record) => {
+    map[`${record.infoHash}@${record.fileIndex}`] = record;
+    return map;
+  }, {});
+  const streams = records
+      .sort((a, b) => b.torrent.seeders - a.torrent.seeders || b.torrent.uploadDate - a.torrent.uploadDate)
+      .map(record => toStreamInfo(record));
+  return applyFilters(streams, { ...config, type })
+      .map(stream => recordsMap[`${stream.infoHash}@${stream.fileIdx}`])
+      .filter(record => record)
+      .filter((record, index, array) => array.findIndex(other => other.infoHash === record.infoHash) === index);
+}
+
+async function toItem(record) {
+  const torrent = record.torrent;
+  const magnetLink = escapeXml(await getMagnetLink(record.infoHash, torrent));
+  const size = torrent.size || record.size || 0;
+  const category = getCategory(record);
+  const attributes = {
+    category: category.id,
+    size: size,
+    seeders: torrent.seeders || 0,
+    infohash: record.infoHash,
+    magneturl: magnetLink,
+    imdbid: record.imdbId?.replace(/^tt/, '')
+  };
+  const attributesXml = Object.entries(attributes)
+      .filter(([_, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => `<torznab:attr name="${name}" value="${value}"/>`)
+      .join('');
+  return `<item>
+      <title>${escapeXml(torrent.title)}</title>
+      <guid>${record.infoHash}</guid>
+      <link>${magnetLink}</link>
+      ${torrent.uploadDate ? `<pubDate>${new Date(torrent.uploadDate).toUTCString()}</pubDate>` : ''}
+      <size>${size}</size>
+      <category>${category.id}</category>
+      <enclosure url="${magnetLink}" length="${size}" type="application/x-bittorrent"/>
+      ${attributesXml}
+    </item>`;
+}
+
+function getCategory(record) {
+  if (record.kitsuId || record.torrent.type === Type.ANIME) {
+    return Categories.ANIME;
+  }
+  return record.torrent.type === Type.MOVIE ? Categories.MOVIES : Categories.TV;
+}
+
+function parseImdbId(imdbId) {
+  const match = imdbId?.match(/^(?:tt)?(\d+)$/i);
+  return match && `tt${match[1].padStart(7, '0')}`;
+}
+
+function errorResponse(error) {
+  return xmlDocument(`<error code="${error.code}" description="${error.description}"/>`);
+}
+
+function xmlDocument(content) {
+  return `<?xml version="1.0" encoding="UTF-8"?>${content}`;
+}
+
+function escapeXml(text) {
+  return `${text}`
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+}
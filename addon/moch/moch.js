@@ -6,81 +6,51 @@ import * as alldebrid from './alldebrid.js';
 import * as debridlink from './debridlink.js';
 import * as offcloud from './offcloud.js';
 import * as putio from './putio.js';
-import StaticResponse, { isStaticUrl } from './static.js';
-import { cacheWrapResolvedUrl } from '../lib/cache.js';
+import { MochOptions as MochDefinitions, hasMochConfigured } from './mochOptions.js';
+import StaticResponse, { isStaticUrl, getStaticResponseKey } from './static.js';
+import { blacklistToken, cacheWrapResolvedUrl, getCachedResolvedUrl, isTokenBlacklisted } from '../lib/cache.js';
+import {
+  fromReference,
+  isEncryptionEnabled,
+  isReference,
+  isUrlSigningEnabled,
+  signUrl,
+  toReference,
+  verifyUrl
+} from '../lib/secrets.js';
+import { mochResolveOutcomes, registerQueueMetrics } from '../lib/metrics.js';
 import { timeout } from '../lib/promises.js';
 import { BadTokenError, streamFilename, AccessDeniedError, enrichMeta } from './mochHelper.js';
 import { createNamedQueue } from "../lib/namedQueue.js";
 
 const RESOLVE_TIMEOUT = 2 * 60 * 1000; // 2 minutes
+const UNRESTRICT_LOCK_TTL = RESOLVE_TIMEOUT / 1000 + 10; // outlives the resolve, so other instances don't resolve it again
 const MIN_API_KEY_SYMBOLS = 15;
-const TOKEN_BLACKLIST = [];
-export const MochOptions = {
-  realdebrid: {
-    key: 'realdebrid',
-    instance: realdebrid,
-    name: "RealDebrid",
-    shortName: 'RD',
-    catalog: true
-  },
-  premiumize: {
-    key: 'premiumize',
-    instance: premiumize,
-    name: 'Premiumize',
-    shortName: 'PM',
-    catalog: true
-  },
-  alldebrid: {
-    key: 'alldebrid',
-    instance: alldebrid,
-    name: 'AllDebrid',
-    shortName: 'AD',
-    catalog: true
-  },
-  debridlink: {
-    key: 'debridlink',
-    instance: debridlink,
-    name: 'DebridLink',
-    shortName: 'DL',
-    catalog: true
-  },
-  offcloud: {
-    key: 'offcloud',
-    instance: offcloud,
-    name: 'Offcloud',
-    shortName: 'OC',
-    catalog: true
-  },
-  putio: {
-    key: 'putio',
-    instance: putio,
-    name: 'Put.io',
-    shortName: 'Putio',
-    catalog: true
-  }
-};
+const MochInstances = { realdebrid, premiumize, alldebrid, debridlink, offcloud, putio };
+export const MochOptions = Object.fromEntries(Object.values(MochDefinitions)
+    .map(moch => [moch.key, { ...moch, instance: MochInstances[moch.key] }]));
 
 const unrestrictQueues = {}
 Object.values(MochOptions)
     .map(moch => moch.key)
-    .forEach(mochKey => unrestrictQueues[mochKey] = createNamedQueue(50));
-
-export function hasMochConfigured(config) {
-  return Object.keys(MochOptions).find(moch => config?.[moch])
-}
+    .forEach(mochKey => unrestrictQueues[mochKey] = createNamedQueue(50, `unrestrict_${mochKey}`, UNRESTRICT_LOCK_TTL));
+Object.entries(unrestrictQueues)
+    .forEach(([mochKey, queue]) => registerQueueMetrics(`unrestrict_${mochKey}`, queue));
 
 export async function applyMochs(streams, config) {
-  if (!streams?.length || !hasMochConfigured(config)) {
+  // only torrent streams can be checked on debrid services, magnet link streams don't have an info hash
+  const torrentStreams = streams?.filter(stream => stream.infoHash) || [];
+  if (!torrentStreams.length || !hasMochConfigured(config)) {
     return streams;
   }
   return Promise.all(Object.keys(config)
       .filter(configKey => MochOptions[configKey])
       .map(configKey => MochOptions[configKey])
-      .map(moch => {
-        if (isInvalidToken(config[moch.key], moch.key)) {
+      .map(async moch => {
+        if (await isInvalidToken(config[moch.key], moch.key)) {
           return { moch, error: BadTokenError };
         }
-        return moch.instance.getCachedStreams(streams, config[moch.key], config.ip)
+        return moch.instance.getCachedStreams(torrentStreams, config[moch.key], config.ip)
             .then(mochStreams => ({ moch, mochStreams }))
             .catch(rawError => {
               const error = moch.instance.toCommonError(rawError) || rawError;
@@ -102,14 +72,60 @@ export async function resolve(parameters) {
   if (!parameters.apiKey || !parameters.infoHash || !parameters.cachedEntryInfo) {
     return Promise.reject(new Error("No valid parameters passed"));
   }
+  if (isReference(parameters.apiKey)) {
+    const apiKey = fromReference(moch.key, parameters.apiKey);
+    if (!apiKey) {
+      // tampered references or ones sealed with a rotated secret can't be resolved anymore
+      console.log(`Invalid api key reference for moch provider: ${moch.key}`);
+      return `${parameters.host}/${StaticResponse.FAILED_EXPIRED_LINK}`;
+    }
+    parameters = { ...parameters, apiKey };
+  }
   const id = `${parameters.ip}_${parameters.mochKey}_${parameters.apiKey}_${parameters.infoHash}_${parameters.fileIndex}`;
-  const method = () => timeout(RESOLVE_TIMEOUT, cacheWrapResolvedUrl(id, () => moch.instance.resolve(parameters)))
+  const resolveMethod = parameters.isSubtitle && moch.instance.resolveSubtitle || moch.instance.resolve;
+  const toUrl = url => isStaticUrl(url) ? `${parameters.host}/${url}` : url;
+  const method = () => timeout(RESOLVE_TIMEOUT, cacheWrapResolvedUrl(id, () => resolveMethod(parameters)))
       .catch(error => {
         console.warn(error);
         return StaticResponse.FAILED_UNEXPECTED;
       })
-      .then(url => isStaticUrl(url) ? `${parameters.host}/${url}` : url);
-  return unrestrictQueues[moch.key].wrap(id, method);
+      .then(toUrl);
+  const cachedMethod = () => getCachedResolvedUrl(id).then(url => url && toUrl(url));
+  return unrestrictQueues[moch.key].wrap(id, method, cachedMethod)
+      .then(url => {
+        mochResolveOutcomes.inc({ moch: moch.key, outcome: getStaticResponseKey(url)?.toLowerCase() || 'success' });
+        return url;
+      })
+      .catch(error => {
+        mochResolveOutcomes.inc({ moch: moch.key, outcome: 'error' });
+        return Promise.reject(error);
+      });
+}
+
+export async function getSubtitleUrl(subtitle, config) {
+  const mochKey = hasMochConfigured(config);
+  if (!mochKey || !config.host) {
+    return undefined;
+  }
+  const apiKey = toUrlApiKey(mochKey, config[mochKey]);
+  const filename = subtitle.title.split('/').pop();
+  const pathParts = ['subtitles', mochKey, apiKey, subtitle.infoHash, `${subtitle.fileIndex}`, filename];
+  const urlPath = pathParts.map(part => encodeURIComponent(part)).join('/');
+  return `${config.host}/${urlPath}${signedQuery(pathParts)}`;
+}
+
+// Signed urls are valid only until their expiry, unsigned ones only when signing is disabled
+export function isValidSignedUrl(pathParts, query) {
+  return !isUrlSigningEnabled() || verifyUrl(pathParts, query);
+}
+
+export async function resolveSubtitle(parameters) {
+  // providers selecting single torrent files resolve subtitles only from the downloaded video torrent
+  const url = await resolve({ ...parameters, cachedEntryInfo: encodeURIComponent(parameters.filename), isSubtitle: true });
+  if (isStaticUrl(url)) {
+    return Promise.reject(new Error(`Failed resolving subtitle ${parameters.infoHash} [${parameters.fileIndex}]`));
+  }
+  return url;
 }
 
 export async function getMochCatalog(mochKey, config) {
@@ -117,7 +133,7 @@ export async function getMochCatalog(mochKey, config) {
   if (!moch) {
     return Promise.reject(new Error(`Not a valid moch provider: ${mochKey}`));
   }
-  if (isInvalidToken(config[mochKey], mochKey)) {
+  if (await isInvalidToken(config[mochKey], mochKey)) {
     return Promise.reject(new Error(`Invalid API key for moch provider: ${mochKey}`));
   }
   return moch.instance.getCatalog(config[moch.key], config.skip, config.ip)
@@ -141,7 +157,7 @@ export async function getMochItemMeta(mochKey, itemId, config) {
       .then(meta => {
         meta.videos.forEach(video => video.streams.forEach(stream => {
           if (!stream.url.startsWith('http')) {
-            stream.url = `${config.host}/${moch.key}/${stream.url}/${streamFilename(video)}`
+            stream.url = toResolveUrl(config, moch.key, stream.url, streamFilename(video));
           }
           stream.behaviorHints = { bingeGroup: itemId }
         }))
@@ -164,7 +180,7 @@ function processMochResults(streams, config, results) {
   const cachedStreams = mochResults
       .reduce((resultStreams, mochResult) => populateCachedLinks(resultStreams, mochResult, config), streams);
   const resultStreams = excludeDownloadLinks ? cachedStreams : populateDownloadLinks(cachedStreams, mochResults, config);
-  return includeTorrentLinks ? resultStreams : resultStreams.filter(stream => stream.url);
+  return includeTorrentLinks ? resultStreams : resultStreams.filter(stream => stream.url || stream.externalUrl);
 }
 
 function populateCachedLinks(streams, mochResult, config) {
@@ -174,8 +190,9 @@ function populateCachedLinks(streams, mochResult, config) {
       return {
         name: `[${mochResult.moch.shortName}+] ${stream.name}`,
         title: stream.title,
-        url: `${config.host}/${mochResult.moch.key}/${cachedEntry.url}/${streamFilename(stream)}`,
-        behaviorHints: stream.behaviorHints
+        url: toResolveUrl(config, mochResult.moch.key, cachedEntry.url, streamFilename(stream)),
+        behaviorHints: debridBehaviorHints(stream),
+        metadata: { ...stream.metadata, cached: true, debrid: `${mochResult.moch.shortName}+` }
       };
     }
     return stream;
@@ -184,7 +201,7 @@ function populateCachedLinks(streams, mochResult, config) {
 
 function populateDownloadLinks(streams, mochResults, config) {
   const torrentStreams = streams.filter(stream => stream.infoHash);
-  const seededStreams = streams.filter(stream => !stream.title.includes('👤 0'));
+  const seededStreams = torrentStreams.filter(stream => stream.metadata?.seeders > 0);
   torrentStreams.forEach(stream => mochResults.forEach(mochResult => {
     const cachedEntry = mochResult.mochStreams[`${stream.infoHash}@${stream.fileIdx}`];
     const isCached = cachedEntry?.cached;
@@ -192,29 +209,53 @@ function populateDownloadLinks(streams, mochResults, config) {
       streams.push({
         name: `[${mochResult.moch.shortName} download] ${stream.name}`,
         title: stream.title,
-        url: `${config.host}/${mochResult.moch.key}/${cachedEntry.url}/${streamFilename(stream)}`,
-        behaviorHints: stream.behaviorHints
+        url: toResolveUrl(config, mochResult.moch.key, cachedEntry.url, streamFilename(stream)),
+        behaviorHints: debridBehaviorHints(stream),
+        metadata: { ...stream.metadata, debrid: `${mochResult.moch.shortName} download` }
       })
     }
   }));
   return streams;
 }
 
+function debridBehaviorHints(stream) {
+  // debrid urls are played directly, so the player needs the filename to detect the container
+  return { ...stream.behaviorHints, filename: decodeURIComponent(streamFilename(stream)) };
+}
+
 function isHealthyStreamForDebrid(streams, stream) {
-  const isZeroSeeders = stream.title.includes('👤 0');
-  const is4kStream = stream.name.includes('4k');
+  const isZeroSeeders = !stream.metadata.seeders;
+  const is4kStream = stream.metadata.resolution === '4k';
   const isNotEnoughOptions = streams.length <= 5;
   return !isZeroSeeders || is4kStream || isNotEnoughOptions;
 }
 
-function isInvalidToken(token, mochKey) {
-  return token.length < MIN_API_KEY_SYMBOLS || TOKEN_BLACKLIST.includes(`${mochKey}|${token}`);
+async function isInvalidToken(token, mochKey) {
+  return token.length < MIN_API_KEY_SYMBOLS || isTokenBlacklisted(mochKey, token);
 }
 
 function blackListToken(token, mochKey) {
-  const tokenKey = `${mochKey}|${token}`;
-  console.log(`Blacklisting invalid token: ${tokenKey}`)
-  TOKEN_BLACKLIST.push(tokenKey);
+  return blacklistToken(mochKey, token)
+      .then(entry => console.log(`Blacklisting invalid token: ${entry.moch}|${entry.token} (${entry.hash})`));
+}
+
+function toResolveUrl(config, mochKey, path, filename) {
+  // moch paths start with the api key, which is replaced with a reference when encryption is enabled
+  const apiKey = config[mochKey];
+  const urlPath = path.startsWith(`${apiKey}/`) ? toUrlApiKey(mochKey, apiKey) + path.slice(apiKey.length) : path;
+  const pathParts = [mochKey].concat(urlPath.split('/').map(part => decodeURIComponent(part)));
+  return `${config.host}/${mochKey}/${urlPath}/${filename}${signedQuery(pathParts)}`;
+}
+
+function signedQuery(pathParts) {
+  if (!isUrlSigningEnabled()) {
+    return '';
+  }
+  return `?${new URLSearchParams(signUrl(pathParts))}`;
+}
+
+function toUrlApiKey(mochKey, apiKey) {
+  return isEncryptionEnabled() ? toReference(mochKey, apiKey) : apiKey;
 }
 
 function errorStreamResponse(mochKey, error, config) {
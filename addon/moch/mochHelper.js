@@ -12,6 +12,7 @@ export function chunkArray(arr, size) {
 
 export function streamFilename(stream) {
   const filename = stream?.behaviorHints?.filename
+      || stream.metadata?.title
       || stream.title.replace(/\n👤.*/s, '').split('\n').pop().split('/').pop();
   return encodeURIComponent(filename)
 }
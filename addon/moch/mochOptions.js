@@ -0,0 +1,42 @@
+export const MochOptions = {
+  realdebrid: {
+    key: 'realdebrid',
+    name: "RealDebrid",
+    shortName: 'RD',
+    catalog: true
+  },
+  premiumize: {
+    key: 'premiumize',
+    name: 'Premiumize',
+    shortName: 'PM',
+    catalog: true
+  },
+  alldebrid: {
+    key: 'alldebrid',
+    name: 'AllDebrid',
+    shortName: 'AD',
+    catalog: true
+  },
+  debridlink: {
+    key: 'debridlink',
+    name: 'DebridLink',
+    shortName: 'DL',
+    catalog: true
+  },
+  offcloud: {
+    key: 'offcloud',
+    name: 'Offcloud',
+    shortName: 'OC',
+    catalog: true
+  },
+  putio: {
+    key: 'putio',
+    name: 'Put.io',
+    shortName: 'Putio',
+    catalog: true
+  }
+};
+
+export function hasMochConfigured(config) {
+  return Object.keys(MochOptions).find(moch => config?.[moch])
+}
@@ -191,6 +191,27 @@ export async function resolve({ ip, isBrowser, apiKey, infoHash, fileIndex }) {
       });
 }
 
+// Subtitles are only taken from an already downloaded video torrent,
+// since selecting a subtitle file would add a new torrent and use up the download quota
+export async function resolveSubtitle({ ip, apiKey, infoHash, fileIndex }) {
+  console.log(`Unrestricting RealDebrid subtitle ${infoHash} [${fileIndex}]`);
+  const options = await getDefaultOptions(ip);
+  const RD = new RealDebridClient(apiKey, options);
+  const torrents = await RD.torrents.get(0, 1) || [];
+  const torrentInfos = await Promise.all(torrents
+      .filter(torrent => torrent.hash.toLowerCase() === infoHash && statusReady(torrent.status))
+      .map(torrent => _getTorrentInfo(RD, torrent.id)));
+  const torrent = torrentInfos.find(torrent => torrent.files.find(file => file.id === fileIndex + 1 && file.selected));
+  const selectedFiles = torrent?.files.filter(file => file.selected) || [];
+  // a single link for multiple selected files is an archive, so the subtitle file can't be extracted
+  if (!torrent || torrent.links.length !== selectedFiles.length) {
+    console.log(`No downloaded RealDebrid torrent contains subtitle ${infoHash} [${fileIndex}]`);
+    return StaticResponse.FAILED_DOWNLOAD;
+  }
+  const fileLink = torrent.links[selectedFiles.findIndex(file => file.id === fileIndex + 1)];
+  return _unrestrictFileLink(RD, fileLink, torrent, fileIndex, false, false);
+}
+
 async function _resolveCachedFileIds(RD, infoHash, fileIndex) {
   const available = await _getInstantAvailable([infoHash], RD);
   const cachedEntry = available?.[infoHash];
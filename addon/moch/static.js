@@ -5,7 +5,8 @@ const staticVideoUrls = {
   FAILED_RAR: `videos/failed_rar_v2.mp4`,
   FAILED_OPENING: `videos/failed_opening_v2.mp4`,
   FAILED_UNEXPECTED: `videos/failed_unexpected_v2.mp4`,
-  FAILED_INFRINGEMENT: `videos/failed_infringement_v2.mp4`
+  FAILED_INFRINGEMENT: `videos/failed_infringement_v2.mp4`,
+  FAILED_EXPIRED_LINK: `videos/failed_expired_link_v2.mp4`
 }
 
 
@@ -13,4 +14,8 @@ export function isStaticUrl(url) {
   return Object.values(staticVideoUrls).some(videoUrl => url?.endsWith(videoUrl));
 }
 
+export function getStaticResponseKey(url) {
+  return Object.keys(staticVideoUrls).find(key => url?.endsWith(staticVideoUrls[key]));
+}
+
 export default staticVideoUrls
\ No newline at end of file
@@ -5,10 +5,22 @@ import requestIp from 'request-ip';
 import userAgentParser from 'ua-parser-js';
 import addonInterface from './addon.js';
 import qs from 'querystring';
+import axios from 'axios';
 import { manifest } from './lib/manifest.js';
-import { parseConfiguration, PreConfigurations } from './lib/configuration.js';
+import {
+  encryptConfiguration,
+  parseConfiguration,
+  parsePublicConfiguration,
+  PreConfigurations
+} from './lib/configuration.js';
+import { isEncryptionEnabled } from './lib/secrets.js';
 import landingTemplate from './lib/landingTemplate.js';
+import { torznab } from './lib/torznab.js';
 import * as moch from './moch/moch.js';
+import StaticResponse from './moch/static.js';
+import { getMagnetLink } from './lib/magnetHelper.js';
+
+const MAX_CONFIGURATION_LENGTH = 8192;
 
 const router = new Router();
 const limiter = rateLimit({
@@ -30,12 +42,30 @@ router.get(`/:preconfiguration(${Object.keys(PreConfigurations).join('|')})`, (r
 });
 
 router.get('/:configuration?/configure', (req, res) => {
-  const configValues = parseConfiguration(req.params.configuration || '');
+  const configValues = parsePublicConfiguration(req.params.configuration || '');
   const landingHTML = landingTemplate(manifest(configValues), configValues);
   res.setHeader('content-type', 'text/html');
   res.end(landingHTML);
 });
 
+router.post('/encrypt', limiter, (req, res) => {
+  // configuration is sent in the body, so the plain api keys don't end up in access logs
+  if (!isEncryptionEnabled()) {
+    res.statusCode = 404;
+    res.end();
+    return;
+  }
+  readBody(req, MAX_CONFIGURATION_LENGTH)
+      .then(configuration => {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.end(encryptConfiguration(configuration.trim()));
+      })
+      .catch(() => {
+        res.statusCode = 413;
+        res.end();
+      });
+});
+
 router.get('/:configuration?/manifest.json', (req, res) => {
   const configValues = parseConfiguration(req.params.configuration || '');
   const manifestBuf = JSON.stringify(manifest(configValues));
@@ -43,6 +73,25 @@ router.get('/:configuration?/manifest.json', (req, res) => {
   res.end(manifestBuf)
 });
 
+router.get('/:configuration?/magnet/:infoHash', limiter, (req, res) => {
+  const infoHash = req.params.infoHash.toLowerCase();
+  if (!/^[a-f0-9]{40}$/.test(infoHash)) {
+    res.statusCode = 404;
+    res.end();
+    return;
+  }
+  getMagnetLink(infoHash)
+      .then(magnetLink => {
+        res.writeHead(302, { Location: magnetLink });
+        res.end();
+      })
+      .catch(error => {
+        console.log(error);
+        res.statusCode = 500;
+        res.end();
+      });
+});
+
 router.get('/:configuration?/:resource/:type/:id/:extra?.json', limiter, (req, res, next) => {
   const { configuration, resource, type, id } = req.params;
   const extra = req.params.extra ? qs.parse(req.url.split('/').pop().slice(0, -5)) : {}
@@ -80,7 +129,61 @@ router.get('/:configuration?/:resource/:type/:id/:extra?.json', limiter, (req, r
       });
 });
 
+router.get('/:configuration?/api', limiter, (req, res) => {
+  const query = parseQuery(req);
+  const configValues = { ...parseConfiguration(req.params.configuration || '') };
+  torznab(query, configValues)
+      .then(xml => {
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        res.end(xml);
+      })
+      .catch(error => {
+        console.error(error);
+        res.writeHead(500);
+        res.end();
+      });
+});
+
+router.get('/subtitles/:moch/:apiKey/:infoHash/:fileIndex/:filename', (req, res) => {
+  const { moch: mochKey, apiKey, infoHash, fileIndex, filename } = req.params;
+  if (!moch.isValidSignedUrl(['subtitles', mochKey, apiKey, infoHash, fileIndex, filename], parseQuery(req))) {
+    res.statusCode = 403;
+    res.end();
+    return;
+  }
+  const parameters = {
+    mochKey: req.params.moch,
+    apiKey: req.params.apiKey,
+    infoHash: req.params.infoHash.toLowerCase(),
+    fileIndex: isNaN(req.params.fileIndex) ? undefined : parseInt(req.params.fileIndex),
+    filename: req.params.filename,
+    ip: requestIp.getClientIp(req),
+    host: `${req.protocol}://${req.headers.host}`,
+    isBrowser: false
+  }
+  // subtitle content is proxied, since debrid hosts don't allow cross-origin requests from the web player
+  moch.resolveSubtitle(parameters)
+      .then(url => axios.get(url, { responseType: 'stream', timeout: 10000 }))
+      .then(response => {
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        res.setHeader('Cache-Control', 'max-age=86400, public');
+        response.data.pipe(res);
+      })
+      .catch(error => {
+        console.log(error);
+        res.statusCode = 404;
+        res.end();
+      });
+});
+
 router.get('/:moch/:apiKey/:infoHash/:cachedEntryInfo/:fileIndex/:filename?', (req, res) => {
+  const { moch: mochKey, apiKey, infoHash, cachedEntryInfo, fileIndex } = req.params;
+  if (!moch.isValidSignedUrl([mochKey, apiKey, infoHash, cachedEntryInfo, fileIndex], parseQuery(req))) {
+    // tampered or expired links are answered with a video, since they are opened in the player
+    res.writeHead(302, { Location: `${req.protocol}://${req.headers.host}/${StaticResponse.FAILED_EXPIRED_LINK}` });
+    res.end();
+    return;
+  }
   const userAgent = req.headers['user-agent'] || '';
   const parameters = {
     mochKey: req.params.moch,
@@ -104,6 +207,26 @@ router.get('/:moch/:apiKey/:infoHash/:cachedEntryInfo/:fileIndex/:filename?', (r
       });
 });
 
+function parseQuery(req) {
+  return qs.parse(req.url.split('?')[1] || '');
+}
+
+function readBody(req, maxLength) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > maxLength) {
+        req.destroy();
+        reject(new Error('Request body too large'));
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
 export default function (req, res) {
   router(req, res, function () {
     res.statusCode = 404;
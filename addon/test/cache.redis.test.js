@@ -0,0 +1,90 @@
+// Runs only against a redis server, ex. `docker run --rm -p 6379:6379 redis:7` and `npm run test:redis`
+import crypto from 'crypto';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import {
+  acquireLock,
+  blacklistToken,
+  clearBlacklist,
+  getBlacklistEntries,
+  isDistributedLockEnabled,
+  isLocked,
+  isTokenBlacklisted,
+  releaseLock,
+  removeBlacklistEntry
+} from '../lib/cache.js';
+import { createNamedQueue } from '../lib/namedQueue.js';
+
+describe('redis cache', { skip: !process.env.REDIS_URI && 'REDIS_URI is not set' }, () => {
+  it('enables distributed locks', () => {
+    assert.ok(isDistributedLockEnabled());
+  });
+
+  it('acquires the lock only once until released by its owner', async () => {
+    const id = crypto.randomUUID();
+    const token = await acquireLock(id, 10);
+    assert.ok(token);
+    assert.equal(await acquireLock(id, 10), undefined);
+    assert.ok(await isLocked(id));
+
+    await releaseLock(id, 'not-the-owner');
+    assert.ok(await isLocked(id));
+
+    await releaseLock(id, token);
+    assert.ok(!await isLocked(id));
+  });
+
+  it('blacklists tokens until the entry is removed', async () => {
+    const token = crypto.randomUUID();
+    assert.ok(!await isTokenBlacklisted('realdebrid', token));
+
+    const entry = await blacklistToken('realdebrid', token);
+    assert.ok(await isTokenBlacklisted('realdebrid', token));
+    assert.ok(!entry.token.includes(token));
+
+    await removeBlacklistEntry(entry.hash);
+    assert.ok(!await isTokenBlacklisted('realdebrid', token));
+  });
+
+  it('lists and clears all blacklisted tokens', async () => {
+    const entries = await Promise.all([blacklistToken('realdebrid', crypto.randomUUID()),
+      blacklistToken('premiumize', crypto.randomUUID())]);
+    const listedHashes = (await getBlacklistEntries()).map(entry => entry.hash);
+    entries.forEach(entry => assert.ok(listedHashes.includes(entry.hash)));
+
+    await clearBlacklist();
+    assert.deepEqual(await getBlacklistEntries(), []);
+  });
+
+  it('returns cached queue results without running the task', async () => {
+    const queue = createNamedQueue(1, 'test');
+    let called = false;
+    const method = () => {
+      called = true;
+      return Promise.resolve('fresh');
+    };
+    assert.equal(await queue.wrap(crypto.randomUUID(), method, () => Promise.resolve('cached')), 'cached');
+    assert.ok(!called);
+  });
+
+  it('waits for tasks locked by other instances without holding a queue slot', async () => {
+    const queue = createNamedQueue(1, 'test', 10);
+    const id = crypto.randomUUID();
+    const lockId = `test:${crypto.createHash('sha256').update(id).digest('hex')}`;
+    const token = await acquireLock(lockId, 10);
+    const result = queue.wrap(id, () => Promise.resolve('resolved'));
+    await delay(500);
+    assert.equal(queue.activeCount, 0);
+
+    await releaseLock(lockId, token);
+    assert.equal(await result, 'resolved');
+  });
+
+  it('locks queue tasks without exposing their ids', async () => {
+    const queue = createNamedQueue(1, 'test');
+    const id = crypto.randomUUID();
+    const result = await queue.wrap(id, async () => await isLocked(`test:${id}`) ? 'exposed' : 'hidden');
+    assert.equal(result, 'hidden');
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// secrets are read when the module is loaded
+process.env.CONFIG_SECRET = 'test-config-secret';
+const {
+  CONFIGURATION_VERSION,
+  PreConfigurations,
+  encryptConfiguration,
+  getConfigurationErrors,
+  parseConfiguration,
+  parsePublicConfiguration
+} = await import('../lib/configuration.js');
+
+const API_KEY = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ123456';
+
+function toJsonConfiguration(values) {
+  return Buffer.from(JSON.stringify({ version: CONFIGURATION_VERSION, ...values })).toString('base64url');
+}
+
+describe('legacy configuration', () => {
+  it('parses lists, numbers and api keys', () => {
+    const config = parseConfiguration(`providers=yts,eztv|minseeders=5|realdebrid=${API_KEY}`);
+    assert.deepEqual(config.providers, ['yts', 'eztv']);
+    assert.equal(config.minseeders, '5');
+    assert.equal(config.realdebrid, API_KEY);
+    assert.deepEqual(getConfigurationErrors(config), []);
+  });
+
+  it('keeps commas inside regex keywords', () => {
+    const config = parseConfiguration('excludekeywords=HC,/a{1,3}/');
+    assert.deepEqual(config.excludekeywords, ['HC', '/a{1,3}/']);
+  });
+
+  it('reports malformed options without their values', () => {
+    const config = parseConfiguration(`sort=size|${API_KEY}`);
+    const errors = getConfigurationErrors(config);
+    assert.equal(errors.length, 1);
+    assert.ok(!errors[0].includes(API_KEY));
+  });
+
+  it('reports and drops invalid values', () => {
+    const config = parseConfiguration('sort=unknown|minseeders=many|excludekeywords=/x(?!265)/|sizefilter=5GB-1GB');
+    assert.equal(config.sort, 'quality');
+    assert.equal(config.minseeders, undefined);
+    assert.equal(config.excludekeywords, undefined);
+    assert.deepEqual(config.sizefilter, ['']);
+    assert.equal(getConfigurationErrors(config).length, 4);
+  });
+
+  it('returns preconfigurations', () => {
+    assert.equal(parseConfiguration('lite'), PreConfigurations.lite.config);
+  });
+});
+
+describe('json configuration', () => {
+  it('parses values with any characters', () => {
+    const config = parseConfiguration(toJsonConfiguration({
+      preferredgroups: ['FLUX', 'NTb'],
+      requirekeywords: '100%,/x26[45]/',
+      nametemplate: '{resolution} | {debrid}'
+    }));
+    assert.deepEqual(config.preferredgroups, ['flux', 'ntb']);
+    assert.deepEqual(config.requirekeywords, ['100%', '/x26[45]/']);
+    assert.equal(config.nametemplate, '{resolution} | {debrid}');
+    assert.deepEqual(getConfigurationErrors(config), []);
+  });
+
+  it('rejects unsupported versions', () => {
+    const configuration = Buffer.from(JSON.stringify({ version: 99, sort: 'size' })).toString('base64url');
+    const config = parseConfiguration(configuration);
+    assert.equal(config.sort, 'quality');
+    assert.equal(getConfigurationErrors(config).length, 1);
+  });
+
+  it('reports unknown options', () => {
+    const config = parseConfiguration(toJsonConfiguration({ unknown: 'value' }));
+    assert.deepEqual(getConfigurationErrors(config), ['unknown option unknown']);
+  });
+});
+
+describe('encrypted configuration', () => {
+  const configuration = `sort=size|realdebrid=${API_KEY}`;
+
+  it('parses encrypted configurations', () => {
+    const encrypted = encryptConfiguration(configuration);
+    assert.ok(!encrypted.includes(API_KEY));
+    assert.equal(parseConfiguration(encrypted).realdebrid, API_KEY);
+  });
+
+  it('keeps preconfigurations unencrypted', () => {
+    assert.equal(encryptConfiguration('lite'), 'lite');
+  });
+
+  it('hides api keys of encrypted configurations on the configure page', () => {
+    const config = parsePublicConfiguration(encryptConfiguration(configuration));
+    assert.equal(config.sort, 'size');
+    assert.equal(config.realdebrid, undefined);
+    assert.equal(parsePublicConfiguration(configuration).realdebrid, API_KEY);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import applyFilters, { AudioFilter, isValidKeyword, isValidSizeRange, splitKeywords } from '../lib/filter.js';
+import { stream } from './streams.js';
+
+
+function filteredTitles(streams, config) {
+  return applyFilters(streams, config).map(stream => stream.metadata.title);
+}
+
+describe('audio formats', () => {
+  const audioFormats = title => AudioFilter.options.filter(option => option.pattern.test(title)).map(option => option.key);
+
+  it('does not match dolby digital inside dolby digital plus', () => {
+    assert.deepEqual(audioFormats('Movie.2020.1080p.WEB-DL.E-AC3.x264'), ['ddp']);
+    assert.deepEqual(audioFormats('Movie.2020.1080p.WEB-DL.EAC3.x264'), ['ddp']);
+    assert.deepEqual(audioFormats('Movie.2020.1080p.WEB-DL.DDP5.1.x264'), ['ddp']);
+  });
+
+  it('matches dolby digital', () => {
+    assert.deepEqual(audioFormats('Movie.2020.1080p.BluRay.AC3.x264'), ['dd']);
+    assert.deepEqual(audioFormats('Movie.2020.1080p.BluRay.DD5.1.x264'), ['dd']);
+  });
+});
+
+describe('size filter', () => {
+  const GB = 1024 * 1024 * 1024;
+  const streams = [
+    stream('Show.S01E01.720p', { size: 0.5 * GB }),
+    stream('Show.S01E01.1080p', { size: 2 * GB }),
+    stream('Show.S01.1080p', { size: 2 * GB, pack: true }),
+    stream('Show.S01E01.2160p', { size: 8 * GB })
+  ];
+
+  it('uses separate ranges for episodes and season pack episodes', () => {
+    const config = { type: 'series', sizefilter: ['10GB', '1GB-5GB', '1GB'] };
+    assert.deepEqual(filteredTitles(streams, config), ['Show.S01E01.1080p']);
+  });
+
+  it('rejects inverted ranges', () => {
+    assert.ok(isValidSizeRange('1GB-5GB'));
+    assert.ok(isValidSizeRange('1GB-'));
+    assert.ok(isValidSizeRange('5GB'));
+    assert.ok(!isValidSizeRange('5GB-1GB'));
+  });
+});
+
+describe('keywords filter', () => {
+  const streams = [
+    stream('Movie.2020.1080p.WEB-DL.x264'),
+    stream('Movie.2020.720p.HC.x264'),
+    stream('Movie.2020.CAMRip.x264'),
+    stream('Movie.2020.2160p.x265')
+  ];
+
+  it('excludes plain keywords as whole words', () => {
+    assert.deepEqual(filteredTitles(streams, { excludekeywords: ['HC'] }),
+        ['Movie.2020.1080p.WEB-DL.x264', 'Movie.2020.CAMRip.x264', 'Movie.2020.2160p.x265']);
+  });
+
+  it('requires regex keywords', () => {
+    assert.deepEqual(filteredTitles(streams, { requirekeywords: ['/x26[5]/'] }), ['Movie.2020.2160p.x265']);
+  });
+
+  it('matches regex keywords without backtracking', () => {
+    const keyword = `/${'.?'.repeat(20)}${'.'.repeat(20)}Z/`;
+    const start = Date.now();
+    assert.equal(filteredTitles(streams, { excludekeywords: [keyword, '/(a+)+$/'] }).length, streams.length);
+    assert.ok(Date.now() - start < 1000);
+  });
+
+  it('ignores invalid regex keywords', () => {
+    assert.equal(filteredTitles(streams, { excludekeywords: ['/x26[45/'] }).length, streams.length);
+  });
+});
+
+describe('splitKeywords', () => {
+  it('keeps commas inside regex keywords', () => {
+    assert.deepEqual(splitKeywords('HC,/a{1,3}/,KORSUB'), ['HC', '/a{1,3}/', 'KORSUB']);
+  });
+
+  it('splits slashes which are not a whole keyword', () => {
+    assert.deepEqual(splitKeywords('AC/DC,x265'), ['AC/DC', 'x265']);
+  });
+});
+
+describe('isValidKeyword', () => {
+  it('accepts plain keywords and regexes', () => {
+    assert.ok(isValidKeyword('KORSUB'));
+    assert.ok(isValidKeyword('/\\bcam(rip)?\\b/'));
+    assert.ok(isValidKeyword('/x26[45]/'));
+    assert.ok(isValidKeyword('/a{1,3}b/'));
+    assert.ok(isValidKeyword('/(a|aa)*b/'));
+  });
+
+  it('rejects regex features without a linear time match', () => {
+    assert.ok(!isValidKeyword('/(a)\\1/'));
+    assert.ok(!isValidKeyword('/(?<=x)264/'));
+    assert.ok(!isValidKeyword('/x(?!265)/'));
+  });
+
+  it('rejects invalid regexes', () => {
+    assert.ok(!isValidKeyword('/a(b/'));
+  });
+});
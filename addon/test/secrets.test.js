@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// secrets are read when the module is loaded
+process.env.CONFIG_SECRET = 'test-config-secret';
+process.env.RESOLVE_SIGNING_KEYS = 'current-key,previous-key';
+const { decrypt, encrypt, fromReference, isEncrypted, signUrl, toReference, verifyUrl } = await import('../lib/secrets.js');
+
+describe('encryption', () => {
+  it('decrypts encrypted values', () => {
+    const encrypted = encrypt('realdebrid=secret-api-key');
+    assert.ok(isEncrypted(encrypted));
+    assert.ok(!encrypted.includes('secret-api-key'));
+    assert.equal(decrypt(encrypted), 'realdebrid=secret-api-key');
+  });
+
+  it('rejects tampered values', () => {
+    const encrypted = encrypt('realdebrid=secret-api-key');
+    const tampered = encrypted.slice(0, -2) + (encrypted.endsWith('AA') ? 'BB' : 'AA');
+    assert.equal(decrypt(tampered), undefined);
+    assert.equal(decrypt('enc-invalid'), undefined);
+  });
+});
+
+describe('references', () => {
+  it('resolves references without storing them', () => {
+    const reference = toReference('realdebrid', 'secret-api-key');
+    assert.ok(!reference.includes('secret-api-key'));
+    assert.equal(reference, toReference('realdebrid', 'secret-api-key'));
+    assert.equal(fromReference('realdebrid', reference), 'secret-api-key');
+  });
+
+  it('binds references to their namespace', () => {
+    const reference = toReference('realdebrid', 'secret-api-key');
+    assert.equal(fromReference('premiumize', reference), undefined);
+  });
+});
+
+describe('url signing', () => {
+  const pathParts = ['realdebrid', 'ref-key', 'infohash', 'cached', '0'];
+
+  it('verifies signed urls', () => {
+    assert.ok(verifyUrl(pathParts, signUrl(pathParts)));
+  });
+
+  it('rejects other urls and tampered signatures', () => {
+    const query = signUrl(pathParts);
+    assert.ok(!verifyUrl(pathParts.concat('1'), query));
+    assert.ok(!verifyUrl(pathParts, { ...query, sig: query.sig.split('').reverse().join('') }));
+    assert.ok(!verifyUrl(pathParts, { ...query, kid: 'unknown' }));
+    assert.ok(!verifyUrl(pathParts, {}));
+  });
+
+  it('rejects expired urls', (context) => {
+    const query = signUrl(pathParts);
+    context.mock.timers.enable({ apis: ['Date'], now: Date.now() + 8 * 24 * 60 * 60 * 1000 });
+    assert.ok(!verifyUrl(pathParts, query));
+  });
+});
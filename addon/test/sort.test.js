@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import sortStreams from '../lib/sort.js';
+import { stream } from './streams.js';
+
+function sortedTitles(streams, config) {
+  return sortStreams([...streams], config, 'movie').map(stream => stream.title);
+}
+
+describe('preferences sort', () => {
+  const streams = [
+    stream('x264 popular', { codec: 'x264', audio: ['DD'], seeders: 50 }),
+    stream('x264 unpopular', { codec: 'x264', audio: ['DD'], seeders: 20 }),
+    stream('HEVC unpopular', { codec: 'HEVC', audio: ['Atmos'], seeders: 20 }),
+    stream('HEVC popular 720p', { codec: 'HEVC', audio: ['Atmos'], seeders: 60, resolution: '720p' })
+  ];
+
+  it('keeps the order of ties without preferences', () => {
+    assert.deepEqual(sortedTitles(streams, {}),
+        ['x264 popular', 'x264 unpopular', 'HEVC unpopular', 'HEVC popular 720p']);
+  });
+
+  it('uses preferred codec only as a tiebreaker within the quality', () => {
+    assert.deepEqual(sortedTitles(streams, { preferredcodec: 'hevc' }),
+        ['x264 popular', 'HEVC unpopular', 'x264 unpopular', 'HEVC popular 720p']);
+    assert.deepEqual(sortedTitles(streams.slice().reverse(), { preferredcodec: 'h264' }),
+        ['x264 popular', 'x264 unpopular', 'HEVC unpopular', 'HEVC popular 720p']);
+  });
+
+  it('uses preferred audio only as a tiebreaker within the quality', () => {
+    assert.deepEqual(sortedTitles(streams, { preferredaudio: 'atmos' }),
+        ['x264 popular', 'HEVC unpopular', 'x264 unpopular', 'HEVC popular 720p']);
+    assert.deepEqual(sortedTitles(streams.slice().reverse(), { preferredaudio: 'dd' }),
+        ['x264 popular', 'x264 unpopular', 'HEVC unpopular', 'HEVC popular 720p']);
+  });
+
+  it('boosts preferred groups within the quality', () => {
+    const grouped = streams.map(stream => stream.title === 'x264 unpopular'
+        ? { ...stream, metadata: { ...stream.metadata, group: 'GRP' } }
+        : stream);
+    assert.deepEqual(sortedTitles(grouped, { preferredgroups: ['grp'] }),
+        ['x264 unpopular', 'x264 popular', 'HEVC unpopular', 'HEVC popular 720p']);
+  });
+});
@@ -0,0 +1,18 @@
+// stream fixture with the metadata stream info produces, shared between the tests
+export function stream(title, metadata = {}) {
+  return {
+    name: 'Torrentio',
+    title,
+    metadata: {
+      title,
+      fileTitle: title,
+      provider: 'yts',
+      resolution: '1080p',
+      hdr: [],
+      seeders: 10,
+      size: 0,
+      audio: [],
+      ...metadata
+    }
+  };
+}
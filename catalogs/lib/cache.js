@@ -1,14 +1,25 @@
 import cacheManager from 'cache-manager';
 import mangodbStore from 'cache-manager-mongodb';
+import redisStore from 'cache-manager-redis-store';
 
 const CATALOG_TTL = process.env.STREAM_TTL || 24 * 60 * 60; // 24 hours
 
+const REDIS_URI = process.env.REDIS_URI;
 const MONGO_URI = process.env.MONGODB_URI;
 
 const remoteCache = initiateRemoteCache();
 
 function initiateRemoteCache() {
-  if (MONGO_URI) {
+  if (REDIS_URI) {
+    const cache = cacheManager.caching({
+      store: redisStore,
+      url: REDIS_URI,
+      ttl: CATALOG_TTL,
+      ignoreCacheErrors: true
+    });
+    cache.store.getClient().on('error', error => console.log('Redis cache error', error.message));
+    return cache;
+  } else if (MONGO_URI) {
     return cacheManager.caching({
       store: mangodbStore,
       uri: MONGO_URI,